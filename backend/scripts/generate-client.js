@@ -0,0 +1,197 @@
+/**
+ * Generates the extension's API client (extension/src/shared/apiClient.js)
+ * from openapi.json. Operations tagged "ops" (probes, metrics, the document
+ * itself) are left out; the extension never calls them.
+ *
+ *   npm run generate:client            write the client
+ *   npm run generate:client -- --check exit 1 if the client is out of date
+ *
+ * npm test runs the check (test/apiClient.test.js).
+ */
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const SPEC_PATH = fileURLToPath(new URL("../openapi.json", import.meta.url));
+const CLIENT_PATH = fileURLToPath(
+  new URL("../../extension/src/shared/apiClient.js", import.meta.url)
+);
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+function resolveRef(spec, item) {
+  if (!item?.$ref) return item;
+  const target = item.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], spec);
+  if (!target) throw new Error(`Unresolved $ref ${item.$ref}`);
+  return resolveRef(spec, target);
+}
+
+// "Idempotency-Key" -> "idempotencyKey"
+function toIdentifier(name) {
+  return name
+    .replace(/[^A-Za-z0-9]+(.)/g, (_, c) => c.toUpperCase())
+    .replace(/^./, (c) => c.toLowerCase());
+}
+
+function collectOperations(spec) {
+  const operations = [];
+
+  for (const [path, pathItem] of Object.entries(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      const op = pathItem[method];
+      if (!op) continue;
+      if (op.tags?.includes("ops")) continue;
+      if (!op.operationId) throw new Error(`${method.toUpperCase()} ${path} has no operationId`);
+
+      const params = [...(pathItem.parameters || []), ...(op.parameters || [])].map((p) =>
+        resolveRef(spec, p)
+      );
+
+      operations.push({
+        id: op.operationId,
+        method: method.toUpperCase(),
+        path,
+        summary: op.summary || "",
+        pathParams: params.filter((p) => p.in === "path"),
+        queryParams: params.filter((p) => p.in === "query"),
+        headerParams: params.filter((p) => p.in === "header"),
+        hasBody: Boolean(op.requestBody),
+        bodyRequired: Boolean(op.requestBody?.required)
+      });
+    }
+  }
+
+  return operations.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+function renderKey(name) {
+  return IDENTIFIER_PATTERN.test(name) ? name : JSON.stringify(name);
+}
+
+function renderList(values) {
+  return `[${values.map((value) => JSON.stringify(value)).join(", ")}]`;
+}
+
+function renderOperation(op) {
+  const required = [
+    ...op.pathParams.map((p) => p.name),
+    ...op.queryParams.filter((p) => p.required).map((p) => p.name),
+    ...(op.bodyRequired ? ["body"] : [])
+  ];
+  const paramDocs = [
+    ...op.pathParams.map((p) => p.name),
+    ...op.queryParams.map((p) => (p.required ? p.name : `[${p.name}]`)),
+    ...op.headerParams.map((p) => `[${toIdentifier(p.name)}]`),
+    ...(op.hasBody ? [op.bodyRequired ? "body" : "[body]"] : [])
+  ];
+
+  const pathExpr = op.path.replace(
+    /\{([^}]+)\}/g,
+    (_, name) => `\${encodeURIComponent(params.${name})}`
+  );
+  const query = op.queryParams.map((p) => `${renderKey(p.name)}: params.${p.name}`);
+  const queryExpr = query.length ? `\${buildQuery({ ${query.join(", ")} })}` : "";
+  const headers = [
+    "...options.headers",
+    ...op.headerParams.map((p) => `${renderKey(p.name)}: params.${toIdentifier(p.name)}`)
+  ];
+
+  const lines = [
+    "/**",
+    ` * ${op.summary}`,
+    ` * ${op.method} ${op.path}`,
+    ` * params: ${paramDocs.length ? paramDocs.join(", ") : "(none)"}`,
+    " */",
+    `${op.id}(params = {}, options = {}) {`
+  ];
+  if (required.length) {
+    lines.push(`  requireParams(${JSON.stringify(op.id)}, params, ${renderList(required)});`);
+  }
+  lines.push(
+    `  return transport(\`${pathExpr}${queryExpr}\`, {`,
+    "    ...options,",
+    `    method: ${JSON.stringify(op.method)},`,
+    `    headers: { ${headers.join(", ")} },`,
+    `    body: ${op.hasBody ? "params.body" : "null"}`,
+    "  });",
+    "}"
+  );
+  return lines.map((line) => `      ${line}`).join("\n");
+}
+
+function renderClient(spec) {
+  const operations = collectOperations(spec);
+
+  return `// src/shared/apiClient.js
+// Generated from backend/openapi.json (${spec.info.title} ${spec.info.version}) by
+// backend/scripts/generate-client.js. Do not edit; run \`npm run generate:client\`.
+(function (root) {
+  "use strict";
+
+  if (!root.AA) root.AA = {};
+
+  function requireParams(operationId, params, names) {
+    for (const name of names) {
+      if (params[name] == null || params[name] === "") {
+        throw new Error(\`\${operationId}: \${name} is required\`);
+      }
+    }
+  }
+
+  function buildQuery(query) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value == null || value === "") continue;
+      search.set(key, String(value));
+    }
+    const text = search.toString();
+    return text ? \`?\${text}\` : "";
+  }
+
+  function stripUndefinedHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).filter(([, value]) => value != null));
+  }
+
+  /**
+   * transport(path, { method, headers, body, ...options }) performs the call
+   * and resolves with the parsed JSON body (the side panel's cloudRunFetch).
+   */
+  function createClient(rawTransport) {
+    const transport = (path, options) =>
+      rawTransport(path, { ...options, headers: stripUndefinedHeaders(options.headers) });
+
+    return {
+${operations.map(renderOperation).join(",\n\n")}
+    };
+  }
+
+  root.AA.api = {
+    createClient,
+    OPERATION_IDS: ${renderList(operations.map((op) => op.id))}
+  };
+})(globalThis);
+`;
+}
+
+const spec = JSON.parse(readFileSync(SPEC_PATH, "utf8"));
+const output = renderClient(spec);
+
+if (process.argv.includes("--check")) {
+  let current = "";
+  try {
+    current = readFileSync(CLIENT_PATH, "utf8");
+  } catch {
+    // Missing counts as out of date
+  }
+  if (current !== output) {
+    console.error("extension/src/shared/apiClient.js is out of date; run npm run generate:client");
+    process.exit(1);
+  }
+  console.log("apiClient.js is up to date");
+} else {
+  writeFileSync(CLIENT_PATH, output);
+  console.log(`Wrote ${CLIENT_PATH}`);
+}
@@ -0,0 +1,256 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import express from "express";
+import { createAuth } from "./auth.js";
+import { getShopTimezone, loadConfig } from "./config.js";
+import { sendError, sendValidationError } from "./errors.js";
+import { createIdempotency } from "./idempotency.js";
+import { log, requestContext } from "./logging.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { createReadiness } from "./readiness.js";
+import { createAppointmentRoutes } from "./routes/appointments.js";
+import { createHistoryRoutes } from "./routes/history.js";
+import { createRoRoutes } from "./routes/ro.js";
+import { createSearchRoutes } from "./routes/search.js";
+import { createServiceRoutes } from "./routes/service.js";
+import { createShopRoutes } from "./routes/shops.js";
+import { createShopSettingsStore } from "./shopSettings.js";
+import { createJsonStore } from "./store.js";
+import { createTekmetricClient } from "./tekmetric/client.js";
+import { createTekmetricQueries } from "./tekmetric/queries.js";
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Which Tekmetric the caller is working in (shop. or sandbox.tekmetric.com)
+const ENVIRONMENT_HEADER = "X-Tekmetric-Environment";
+const TEKMETRIC_ENVIRONMENTS = ["production", "sandbox"];
+const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Request id comes from the extension's X-Request-Id (cloudRunFetch) or is minted here
+function requestLogging(metrics) {
+  const httpRequestsTotal = metrics.createCounter(
+    "http_requests_total",
+    "HTTP requests handled, by route and status.",
+    ["method", "route", "status"]
+  );
+  const httpRequestDuration = metrics.createHistogram(
+    "http_request_duration_seconds",
+    "HTTP request latency, by route.",
+    ["method", "route"]
+  );
+
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    const context = { requestId, shopId: null, upstreamCalls: 0, upstreamErrors: 0 };
+
+    req.requestId = requestId;
+    res.setHeader("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const status = res.statusCode;
+      const isProbe = ["/healthz", "/readyz", "/metrics"].includes(req.path);
+      const level = status >= 500 ? "error" : status >= 400 ? "warn" : isProbe ? "debug" : "info";
+      const latencySeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+
+      // Unmatched paths share one label so scanners cannot blow up cardinality
+      const metricRoute = route ?? "unmatched";
+      httpRequestsTotal.inc({ method: req.method, route: metricRoute, status });
+      httpRequestDuration.observe({ method: req.method, route: metricRoute }, latencySeconds);
+
+      requestContext.run(context, () =>
+        log[level](`${req.method} ${req.path} ${status}`, {
+          method: req.method,
+          route,
+          path: req.path, // query strings can carry customer search text; never logged
+          status,
+          latencyMs: Math.round(latencySeconds * 100000) / 100,
+          credentialId: req.credential?.id ?? null,
+          environment: req.tekmetricEnvironment ?? null,
+          upstreamCalls: context.upstreamCalls,
+          upstreamErrors: context.upstreamErrors
+        })
+      );
+    });
+
+    requestContext.run(context, next);
+  };
+}
+
+function cors(allowedOrigins) {
+  function isOriginAllowed(origin) {
+    if (!origin) return true;
+    if (allowedOrigins.includes("*")) return true;
+    return allowedOrigins.includes(origin);
+  }
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+
+    if (isOriginAllowed(origin)) {
+      res.setHeader("Access-Control-Allow-Origin", origin || "*");
+      res.setHeader("Vary", "Origin");
+    }
+
+    res.setHeader(
+      "Access-Control-Allow-Methods",
+      "GET,POST,PUT,PATCH,DELETE,OPTIONS"
+    );
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      `Content-Type, Authorization, X-API-Key, Idempotency-Key, Cache-Control, X-Request-Id, ${ENVIRONMENT_HEADER}`
+    );
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      `Idempotency-Replayed, X-Request-Id, ${ENVIRONMENT_HEADER}`
+    );
+    res.setHeader("Access-Control-Max-Age", "86400");
+
+    if (req.method === "OPTIONS") {
+      return res.sendStatus(204);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Sets req.tekmetricEnvironment from X-Tekmetric-Environment. Reads without
+ * the header are production (older extension builds); writes must name
+ * their environment so a sandbox session cannot book into production.
+ */
+function tekmetricEnvironment(req, res, next) {
+  const raw = String(req.get(ENVIRONMENT_HEADER) || "").trim().toLowerCase();
+
+  if (!raw && WRITE_METHODS.has(req.method)) {
+    return sendValidationError(res, `${ENVIRONMENT_HEADER} is required for changes`);
+  }
+  if (raw && !TEKMETRIC_ENVIRONMENTS.includes(raw)) {
+    return sendValidationError(res, `${ENVIRONMENT_HEADER} must be one of: ${TEKMETRIC_ENVIRONMENTS.join(", ")}`);
+  }
+
+  req.tekmetricEnvironment = raw || "production";
+  res.setHeader(ENVIRONMENT_HEADER, req.tekmetricEnvironment);
+  return next();
+}
+
+// express.json() rejects malformed or oversized bodies before any route runs
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err?.type === "entity.parse.failed") {
+    return sendValidationError(res, "Request body must be valid JSON");
+  }
+  if (err?.type === "entity.too.large") {
+    return sendError(res, 413, "VALIDATION_ERROR", "Request body is too large");
+  }
+
+  log.error("Unhandled express error", { err });
+  return sendError(res, 500, "INTERNAL_ERROR", "Unhandled server error");
+}
+
+// The API routes for one Tekmetric environment, over that environment's client and store
+function createEnvironmentRoutes({ config, auth, tekmetric, store, metrics }) {
+  const resolveTimezone = (shopId) => getShopTimezone(config, shopId);
+  const services = {
+    tekmetric,
+    queries: createTekmetricQueries({
+      tekmetric,
+      getShopTimezone: resolveTimezone,
+      cacheTtlMs: config.cacheTtlMs,
+      metrics
+    }),
+    auth,
+    shopSettings: createShopSettingsStore({ store }),
+    idempotent: createIdempotency({ store, ttlMs: config.idempotencyTtlMs }),
+    metrics,
+    cacheTtlMs: config.cacheTtlMs,
+    getShopTimezone: resolveTimezone
+  };
+
+  const router = express.Router();
+  router.use(createSearchRoutes(services));
+  router.use(createRoRoutes(services));
+  router.use(createHistoryRoutes(services));
+  router.use(createAppointmentRoutes(services));
+  router.use(createShopRoutes(services));
+  return router;
+}
+
+/**
+ * Builds the Express app without listening, so tests and tools can embed it.
+ *
+ * `config` is loadConfig()'s shape. `tekmetric` defaults to a real client
+ * for config.tekmetric; a replacement must provide getMissingConfig,
+ * getAccessToken, getTokenExpiresAt, request, get, cachedGet, stats and
+ * cacheStats (getCredentialIds is optional: without it an RO lookup makes a
+ * single call). `store` defaults to JSON files under config.dataDir.
+ * `sandboxTekmetric` and `sandboxStore` are the same for requests sent with
+ * X-Tekmetric-Environment: sandbox; their metrics stay off /metrics so
+ * training traffic does not skew production dashboards.
+ */
+export function createApp({
+  config = loadConfig(),
+  metrics = createMetricsRegistry(),
+  tekmetric = createTekmetricClient({ config: config.tekmetric, metrics }),
+  store = createJsonStore({ dataDir: config.dataDir }),
+  sandboxTekmetric = createTekmetricClient({ config: config.tekmetricSandbox }),
+  sandboxStore = createJsonStore({ dataDir: path.join(config.dataDir, "sandbox") })
+} = {}) {
+  const auth = createAuth(config.auth);
+
+  const environmentRoutes = {
+    production: createEnvironmentRoutes({ config, auth, tekmetric, store, metrics }),
+    sandbox: createEnvironmentRoutes({
+      config,
+      auth,
+      tekmetric: sandboxTekmetric,
+      store: sandboxStore,
+      metrics: createMetricsRegistry()
+    })
+  };
+
+  // READYZ_SHOP_ID, else the first shop named in SHOP_TIMEZONES or an API key
+  const readinessShopId =
+    config.readyz.shopId ??
+    Object.keys(config.shopTimezones)[0] ??
+    auth.credentials.find((credential) => credential.shops.length > 0)?.shops[0] ??
+    null;
+
+  metrics.createGauge("tekmetric_scheduler_active", "Tekmetric requests currently in flight.", () => tekmetric.stats().scheduler?.active ?? 0);
+  metrics.createGauge("tekmetric_scheduler_queued", "Tekmetric requests waiting for a slot.", () => tekmetric.stats().scheduler?.queued ?? 0);
+  metrics.createGauge("response_cache_entries", "Entries in the Tekmetric response cache.", () => tekmetric.cacheStats().entries ?? 0);
+
+  const app = express();
+
+  app.use(requestLogging(metrics));
+  app.use(express.json());
+  app.use(cors(config.allowedOrigins));
+
+  app.use(
+    createServiceRoutes({
+      tekmetric,
+      sandboxTekmetric,
+      auth,
+      getReadiness: createReadiness({
+        tekmetric,
+        shopId: readinessShopId,
+        cacheMs: config.readyz.cacheMs
+      }),
+      metrics,
+      metricsToken: config.metricsToken,
+      metricsPublic: config.metricsPublic
+    })
+  );
+
+  // Everything below requires an API key
+  app.use(auth.authenticate);
+  app.use(tekmetricEnvironment);
+  app.use((req, res, next) => environmentRoutes[req.tekmetricEnvironment](req, res, next));
+
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,140 @@
+import crypto from "node:crypto";
+import { readFileSync } from "node:fs";
+import { sendError } from "./errors.js";
+import { log, registerSecret, setRequestShop } from "./logging.js";
+
+export function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+/**
+ * Credentials come from API_KEYS_FILE (a mounted secret) or API_KEYS, both a
+ * JSON array of { id, key | keySha256, shops: ["1234", ...] | ["*"], roles }.
+ * `roles: ["manager"]` lets the key change shop-wide settings.
+ */
+export function loadApiCredentials({ apiKeys = "", apiKeysFile = "" } = {}) {
+  let raw = apiKeys;
+
+  if (apiKeysFile) {
+    try {
+      raw = readFileSync(apiKeysFile, "utf8");
+    } catch (err) {
+      log.warn("API_KEYS_FILE could not be read", { err });
+    }
+  }
+
+  if (!raw.trim()) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    log.warn("API keys are not valid JSON", { err });
+    return [];
+  }
+
+  return (Array.isArray(parsed) ? parsed : [])
+    .map((entry) => {
+      registerSecret(entry?.key);
+      const keyHash = entry?.keySha256
+        ? String(entry.keySha256).toLowerCase()
+        : entry?.key
+          ? sha256Hex(entry.key)
+          : null;
+
+      if (!entry?.id || !keyHash) {
+        log.warn("Ignoring API key entry without id and key/keySha256");
+        return null;
+      }
+
+      return {
+        id: String(entry.id),
+        keyHash,
+        shops: Array.isArray(entry.shops) ? entry.shops.map(String) : [],
+        roles: Array.isArray(entry.roles) ? entry.roles.map(String) : []
+      };
+    })
+    .filter(Boolean);
+}
+
+export function getPresentedApiKey(req) {
+  const match = String(req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return String(req.get("X-API-Key") || "").trim() || null;
+}
+
+export function denyShopAccess(res, shopId) {
+  return sendError(res, 403, "FORBIDDEN", `Not authorized for shop ${shopId}`);
+}
+
+export function denyRole(res, role) {
+  return sendError(res, 403, "FORBIDDEN", `Requires a ${role} API key`);
+}
+
+/**
+ * API key authentication from loadConfig().auth. `disabled` (AUTH_DISABLED)
+ * is for local development only.
+ */
+export function createAuth({ disabled = false, apiKeys, apiKeysFile } = {}) {
+  const credentials = loadApiCredentials({ apiKeys, apiKeysFile });
+
+  function findCredential(apiKey) {
+    const presented = Buffer.from(sha256Hex(apiKey), "hex");
+
+    return (
+      credentials.find((credential) => {
+        const expected = Buffer.from(credential.keyHash, "hex");
+        return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+      }) || null
+    );
+  }
+
+  function authenticate(req, res, next) {
+    if (disabled) return next();
+
+    if (credentials.length === 0) {
+      return sendError(res, 503, "NOT_CONFIGURED", "API authentication is not configured");
+    }
+
+    const apiKey = getPresentedApiKey(req);
+    if (!apiKey) {
+      return sendError(res, 401, "UNAUTHORIZED", "API key required");
+    }
+
+    const credential = findCredential(apiKey);
+    if (!credential) {
+      return sendError(res, 401, "UNAUTHORIZED", "Invalid API key");
+    }
+
+    req.credential = credential;
+    return next();
+  }
+
+  function canAccessShop(req, shopId) {
+    setRequestShop(shopId);
+    if (disabled) return true;
+
+    const shops = req.credential?.shops ?? [];
+    return shops.includes("*") || shops.includes(String(shopId));
+  }
+
+  function hasRole(req, role) {
+    if (disabled) return true;
+    return req.credential?.roles?.includes(role) ?? false;
+  }
+
+  // Shops the caller's key covers; ["*"] means all
+  function accessibleShops(req) {
+    if (disabled) return ["*"];
+    return req.credential?.shops ?? [];
+  }
+
+  return {
+    credentials,
+    configured: disabled || credentials.length > 0,
+    authenticate,
+    canAccessShop,
+    hasRole,
+    accessibleShops
+  };
+}
@@ -0,0 +1,106 @@
+import path from "node:path";
+import { IANAZone } from "luxon";
+import { log } from "./logging.js";
+
+/**
+ * Shop timezones. SHOP_TIMEZONE is the default for every shop;
+ * SHOP_TIMEZONES optionally overrides it per shop as JSON,
+ * e.g. {"1234":"America/Chicago"}.
+ */
+const FALLBACK_SHOP_TIMEZONE = "America/New_York";
+
+function parseShopTimezones(raw) {
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (err) {
+    log.warn("SHOP_TIMEZONES is not valid JSON", { err });
+    return {};
+  }
+}
+
+function getDefaultShopTimezone(zone) {
+  if (zone && IANAZone.isValidZone(zone)) return zone;
+  if (zone) log.warn("SHOP_TIMEZONE is not a valid IANA zone", { zone });
+  return FALLBACK_SHOP_TIMEZONE;
+}
+
+export function getShopTimezone(config, shopId) {
+  const zone = shopId != null ? config.shopTimezones[String(shopId)] : null;
+  if (zone && IANAZone.isValidZone(zone)) return zone;
+  return config.defaultShopTimezone;
+}
+
+/**
+ * Everything the service reads from the environment, in one object.
+ * createApp() takes the result; tests and tools pass their own `env`.
+ */
+export function loadConfig(env = process.env) {
+  const maxRetries = Number(env.TEKMETRIC_MAX_RETRIES);
+
+  const tekmetric = {
+    // Prefix of the variables below, for NOT_CONFIGURED errors
+    envVarPrefix: "TEKMETRIC_",
+    clientId: env.TEKMETRIC_CLIENT_ID,
+    clientSecret: env.TEKMETRIC_CLIENT_SECRET,
+    // Per-shop credentials; see tekmetric/credentials.js
+    credentialsFile: env.TEKMETRIC_CREDENTIALS_FILE || "",
+    credentialsDir: env.TEKMETRIC_CREDENTIALS_DIR || "",
+    baseUrl: env.TEKMETRIC_BASE_URL,
+    timeoutMs: Number(env.TEKMETRIC_TIMEOUT_MS) || 15000,
+    maxRetries: Number.isInteger(maxRetries) ? Math.max(0, maxRetries) : 3,
+    retryBaseMs: Number(env.TEKMETRIC_RETRY_BASE_MS) || 250,
+    retryMaxMs: Number(env.TEKMETRIC_RETRY_MAX_MS) || 10000,
+    maxConcurrency: Number(env.TEKMETRIC_MAX_CONCURRENCY) || 8,
+    shopRatePerSec: Number(env.TEKMETRIC_SHOP_RATE_PER_SEC) || 5,
+    shopBurst: Number(env.TEKMETRIC_SHOP_BURST) || 10,
+    cacheMaxEntries: Number(env.CACHE_MAX_ENTRIES) || 5000
+  };
+
+  return {
+    port: Number.parseInt(env.PORT || "8080", 10),
+    // Cloud Run sends SIGKILL 10s after SIGTERM; in-flight requests get this long
+    shutdownTimeoutMs: Number(env.SHUTDOWN_TIMEOUT_MS) || 8000,
+    dataDir: env.DATA_DIR || path.join(process.cwd(), "data"),
+    allowedOrigins: (env.ALLOWED_ORIGINS || "*")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+    tekmetric,
+    // sandbox.tekmetric.com: its own base URL and credentials, same tuning.
+    // Requests from a sandbox tab never fall back to production.
+    tekmetricSandbox: {
+      ...tekmetric,
+      envVarPrefix: "TEKMETRIC_SANDBOX_",
+      clientId: env.TEKMETRIC_SANDBOX_CLIENT_ID,
+      clientSecret: env.TEKMETRIC_SANDBOX_CLIENT_SECRET,
+      credentialsFile: env.TEKMETRIC_SANDBOX_CREDENTIALS_FILE || "",
+      credentialsDir: env.TEKMETRIC_SANDBOX_CREDENTIALS_DIR || "",
+      baseUrl: env.TEKMETRIC_SANDBOX_BASE_URL
+    },
+    cacheTtlMs: {
+      customer: (Number(env.CACHE_TTL_CUSTOMER_SECONDS) || 300) * 1000,
+      vehicle: (Number(env.CACHE_TTL_VEHICLE_SECONDS) || 300) * 1000,
+      repairOrder: (Number(env.CACHE_TTL_RO_SECONDS) || 60) * 1000
+    },
+    idempotencyTtlMs: (Number(env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    auth: {
+      // Local development only
+      disabled: env.AUTH_DISABLED === "true",
+      apiKeys: env.API_KEYS || "",
+      apiKeysFile: env.API_KEYS_FILE || ""
+    },
+    shopTimezones: parseShopTimezones(env.SHOP_TIMEZONES),
+    defaultShopTimezone: getDefaultShopTimezone(env.SHOP_TIMEZONE),
+    readyz: {
+      shopId: env.READYZ_SHOP_ID ? String(env.READYZ_SHOP_ID) : null,
+      // Probes within this window share one result so Cloud Run cannot hammer Tekmetric
+      cacheMs: (Number(env.READYZ_CACHE_SECONDS) || 15) * 1000
+    },
+    metricsToken: env.METRICS_TOKEN || "",
+    // Without a token /metrics takes an API key, unless explicitly made public
+    metricsPublic: env.METRICS_PUBLIC === "true"
+  };
+}
@@ -0,0 +1,79 @@
+import { log } from "./logging.js";
+import { TekmetricError } from "./tekmetric/client.js";
+
+/**
+ * Every error response is { success: false, code, message, ...details }.
+ * Codes the extension maps to advisor-facing text:
+ *   VALIDATION_ERROR  400  params/query/body rejected; `errors` lists each problem
+ *   NOT_CONFIGURED    503  Tekmetric credentials or API keys missing on the server
+ *   UPSTREAM_ERROR    502  Tekmetric failed, was unreachable or rejected the call
+ *   UPSTREAM_TIMEOUT  504  Tekmetric did not answer within TEKMETRIC_TIMEOUT_MS
+ *   UNAUTHORIZED      401  missing or unknown API key
+ *   FORBIDDEN         403  API key, or Tekmetric, does not allow access to the shop
+ *   NOT_FOUND         404  resource not found for the shop (here or in Tekmetric)
+ *   CONFLICT          409  Tekmetric refused the change as conflicting
+ *   INTERNAL_ERROR    500  anything else; details are only logged
+ */
+export function sendError(res, status, code, message, details = {}) {
+  return res.status(status).json({ success: false, code, message, ...details });
+}
+
+export function sendValidationError(res, errors) {
+  const list = Array.isArray(errors) ? errors : [errors];
+  return sendError(res, 400, "VALIDATION_ERROR", list.join("; "), { errors: list });
+}
+
+export function sendNotConfigured(res, missingEnvVars) {
+  return sendError(res, 503, "NOT_CONFIGURED", "Service not fully configured", { missingEnvVars });
+}
+
+/**
+ * Catch-all for route handlers: logs the error and answers with the
+ * envelope. Upstream text stays in the log, not in the response.
+ */
+export function sendRouteError(res, err, logMessage) {
+  if (err instanceof TekmetricError) {
+    const { status, code, message } = getUpstreamErrorResponse(err);
+    // A missing RO or a shop we cannot see is the caller's problem, not an outage
+    if (status < 500) log.warn(logMessage, { err });
+    else log.error(logMessage, { err });
+    return sendError(res, status, code, message, { upstreamStatus: err.status });
+  }
+
+  log.error(logMessage, { err });
+  if (err?.code === "NOT_CONFIGURED") {
+    return sendError(res, 503, "NOT_CONFIGURED", "Service not fully configured");
+  }
+  return sendError(res, 500, "INTERNAL_ERROR", "Internal server error");
+}
+
+/**
+ * The envelope code sendRouteError() would answer `err` with, for places that
+ * report a failure without failing the request.
+ */
+export function getErrorCode(err) {
+  if (err instanceof TekmetricError) return getUpstreamErrorResponse(err).code;
+  if (err?.code === "NOT_CONFIGURED") return "NOT_CONFIGURED";
+  return "INTERNAL_ERROR";
+}
+
+export function getUpstreamErrorResponse(err) {
+  if (err.timedOut) {
+    return { status: 504, code: "UPSTREAM_TIMEOUT", message: "Tekmetric did not respond in time" };
+  }
+  // A rejected token means our client credentials are wrong, not the caller's access
+  if (err.auth) {
+    return { status: 502, code: "UPSTREAM_ERROR", message: "Could not sign in to Tekmetric" };
+  }
+
+  switch (err.status) {
+    case 404:
+      return { status: 404, code: "NOT_FOUND", message: "Not found in Tekmetric" };
+    case 403:
+      return { status: 403, code: "FORBIDDEN", message: "Tekmetric denied access to this shop" };
+    case 409:
+      return { status: 409, code: "CONFLICT", message: "Tekmetric rejected the change as a conflict" };
+    default:
+      return { status: 502, code: "UPSTREAM_ERROR", message: "Tekmetric request failed" };
+  }
+}
@@ -0,0 +1,123 @@
+import { toDateKey, toHourKey } from "./dates.js";
+
+export function getAppointmentsFromResponse(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.data)) return payload.data;
+  if (Array.isArray(payload?.content)) return payload.content;
+  if (Array.isArray(payload?.results)) return payload.results;
+  if (Array.isArray(payload?.items)) return payload.items;
+  return [];
+}
+
+const INACTIVE_APPOINTMENT_STATUSES = ["CANCELLED", "NO_SHOW"];
+
+export function getAppointmentStatus(appt) {
+  const raw = appt?.appointmentStatus ?? appt?.status ?? "";
+  const status = typeof raw === "object" ? raw?.code ?? raw?.name ?? "" : raw;
+  return String(status).trim().toUpperCase() || "NONE";
+}
+
+export function isActiveAppointment(appt) {
+  if (!appt || appt.deletedDate) return false;
+  return !INACTIVE_APPOINTMENT_STATUSES.includes(getAppointmentStatus(appt));
+}
+
+/**
+ * Map Tekmetric's appointmentOption to the extension's type keys.
+ * Option 1 (STAY) is a waiter, option 2 (DROP) is a drop-off.
+ */
+export function getAppointmentTypeKey(appt) {
+  const option = appt?.appointmentOption;
+  const id = Number(option?.id);
+  const code = String(option?.code ?? option?.name ?? "").toUpperCase();
+
+  if (id === 1 || code.includes("STAY") || code.includes("WAIT")) return "wait";
+  if (id === 2 || code.includes("DROP")) return "dropoff";
+  return null;
+}
+
+/**
+ * Accepts "dropoff" | "wait" | "waiter" (the side panel sends all three).
+ * Returns the normalized key, null when absent, or undefined when invalid.
+ */
+export function parseAppointmentTypeParam(value) {
+  if (value == null || String(value).trim() === "") return null;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === "dropoff" || text === "drop-off" || text === "drop") return "dropoff";
+  if (text === "wait" || text === "waiter" || text === "stay") return "wait";
+  return undefined;
+}
+
+export function normalizeAppointment(appt, timezone) {
+  const startTime = appt.startTime ?? appt.startDate ?? null;
+  const hourKey = toHourKey(startTime, timezone);
+
+  return {
+    id: appt.id ?? null,
+    shopId: appt.shopId ?? null,
+    customerId: appt.customerId ?? null,
+    vehicleId: appt.vehicleId ?? null,
+    title: typeof appt.title === "string" ? appt.title : "",
+    description: typeof appt.description === "string" ? appt.description : "",
+    startTime,
+    endTime: appt.endTime ?? appt.endDate ?? null,
+    // Calendar day / hour in the shop's timezone
+    dateKey: toDateKey(startTime, timezone),
+    hour: hourKey != null ? Number(hourKey) : null,
+    appointmentType: getAppointmentTypeKey(appt),
+    status: getAppointmentStatus(appt),
+    color: appt.color ?? null,
+    dropoffTime: appt.dropoffTime ?? null,
+    pickupTime: appt.pickupTime ?? null
+  };
+}
+
+/**
+ * Active appointments per day (or per type and hour) for the given date keys.
+ * Appointments without an option are treated as drop-offs, matching how the
+ * side panel classifies them.
+ */
+export function buildAppointmentCounts(
+  appointments,
+  dateKeys,
+  timezone,
+  { groupBy = "day", includeTypes = false, typeFilter = null } = {}
+) {
+  const counts = {};
+  for (const key of dateKeys) {
+    if (groupBy === "hour") {
+      counts[key] = { dropoff: {}, wait: {} };
+    } else if (includeTypes) {
+      counts[key] = { total: 0, dropoff: 0, wait: 0 };
+    } else {
+      counts[key] = 0;
+    }
+  }
+
+  for (const appt of appointments) {
+    // Skip deleted or cancelled appointments
+    if (!isActiveAppointment(appt)) continue;
+
+    const type = getAppointmentTypeKey(appt) ?? "dropoff";
+    if (typeFilter && type !== typeFilter) continue;
+
+    const start = appt?.startTime || appt?.startDate;
+    const key = toDateKey(start, timezone);
+    if (!key || !(key in counts)) continue;
+
+    if (groupBy === "hour") {
+      const hour = toHourKey(start, timezone);
+      if (hour == null) continue;
+      const bucket = counts[key][type];
+      bucket[hour] = (bucket[hour] || 0) + 1;
+    } else if (includeTypes) {
+      counts[key].total += 1;
+      counts[key][type] += 1;
+    } else {
+      counts[key] += 1;
+    }
+  }
+
+  return counts;
+}
@@ -0,0 +1,83 @@
+import { DateTime } from "luxon";
+import { WEEKDAY_KEYS } from "../shopSettings.js";
+import { getAppointmentTypeKey, isActiveAppointment } from "./appointments.js";
+import { toDateKey, toHourKey } from "./dates.js";
+
+export function getBusinessHoursForDate(businessHours, dateKey, timezone) {
+  const date = DateTime.fromISO(dateKey, { zone: timezone });
+  if (!date.isValid) return null;
+  return businessHours?.[WEEKDAY_KEYS[date.weekday - 1]] ?? null;
+}
+
+export function getSlotStatus(booked, limit, limitedRatio) {
+  if (limit == null) return "open";
+  if (booked >= limit) return "full";
+  if (booked >= Math.ceil(limit * limitedRatio)) return "limited";
+  return "open";
+}
+
+/**
+ * Combine booked appointments with a shop's capacity.
+ * Drop-offs are capped per day, waiters per hour; blocked hours are always full.
+ * Bookable hours are the shop's business hours for that weekday, narrowed to
+ * the capacity window; a closed day is reported as full with closed: true.
+ */
+export function buildAvailability(appointments, dateKeys, type, capacity, timezone, businessHours) {
+  const booked = {};
+  for (const key of dateKeys) {
+    booked[key] = { total: 0, hours: {} };
+  }
+
+  for (const appt of appointments) {
+    if (!isActiveAppointment(appt)) continue;
+    if ((getAppointmentTypeKey(appt) ?? "dropoff") !== type) continue;
+
+    const start = appt?.startTime || appt?.startDate;
+    const key = toDateKey(start, timezone);
+    const hour = toHourKey(start, timezone);
+    if (!key || hour == null || !(key in booked)) continue;
+
+    booked[key].total += 1;
+    booked[key].hours[hour] = (booked[key].hours[hour] || 0) + 1;
+  }
+
+  const { maxDropoffsPerDay, maxWaitersPerHour, blockedHours, limitedRatio } = capacity;
+  const days = {};
+
+  for (const key of dateKeys) {
+    const dayBooked = booked[key].total;
+    const dayLimit = type === "dropoff" ? maxDropoffsPerDay : null;
+    const dropoffDayStatus = getSlotStatus(dayBooked, dayLimit, limitedRatio);
+    const hours = {};
+    const open = getBusinessHoursForDate(businessHours, key, timezone);
+    const firstHour = Math.max(capacity.dayStartHour, open?.open ?? 0);
+    const lastHour = Math.min(capacity.dayEndHour, open?.close ?? 0);
+
+    for (let hour = firstHour; hour < lastHour; hour += 1) {
+      const hourBooked = booked[key].hours[hour] || 0;
+      const blocked = blockedHours.includes(hour);
+      const limit = type === "wait" ? maxWaitersPerHour : null;
+
+      let status;
+      if (blocked) status = "full";
+      else if (type === "wait") status = getSlotStatus(hourBooked, limit, limitedRatio);
+      else status = dropoffDayStatus;
+
+      hours[hour] = { status, booked: hourBooked, limit, blocked };
+    }
+
+    const statuses = Object.values(hours)
+      .filter((h) => !h.blocked)
+      .map((h) => h.status);
+
+    let status = dropoffDayStatus;
+    if (statuses.length === 0 || statuses.every((s) => s === "full")) status = "full";
+    else if (type === "wait") {
+      status = statuses.some((s) => s !== "open") ? "limited" : "open";
+    }
+
+    days[key] = { status, booked: dayBooked, limit: dayLimit, closed: !open, hours };
+  }
+
+  return days;
+}
@@ -0,0 +1,63 @@
+import { DateTime } from "luxon";
+
+/**
+ * Interpret a Tekmetric timestamp, a YYYY-MM-DD key or a Date in the shop's
+ * timezone. Strings without an offset are treated as shop wall time.
+ */
+export function toShopDateTime(value, timezone) {
+  if (value instanceof Date) {
+    const dt = DateTime.fromJSDate(value, { zone: timezone });
+    return dt.isValid ? dt : null;
+  }
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const dt = DateTime.fromISO(value.trim(), { zone: timezone });
+  return dt.isValid ? dt : null;
+}
+
+export function toDateKey(value, timezone) {
+  const dt = toShopDateTime(value, timezone);
+  return dt ? dt.toISODate() : null;
+}
+
+export function toHourKey(value, timezone) {
+  const dt = toShopDateTime(value, timezone);
+  return dt ? String(dt.hour) : null;
+}
+
+export function buildDateRangeKeys(startDate, endDate, timezone) {
+  const keys = [];
+  const start = toShopDateTime(startDate, timezone);
+  const end = toShopDateTime(endDate, timezone);
+  if (!start || !end) return keys;
+
+  let cursor = start.startOf("day");
+  const last = end.startOf("day");
+
+  while (cursor <= last) {
+    keys.push(cursor.toISODate());
+    cursor = cursor.plus({ days: 1 });
+  }
+
+  return keys;
+}
+
+export function getRangeBounds(startDate, endDate, timezone) {
+  const start = toShopDateTime(startDate, timezone);
+  const end = toShopDateTime(endDate, timezone);
+  if (!start || !end) {
+    throw new Error("Invalid date range: startDate and endDate must be ISO dates");
+  }
+
+  return {
+    startIso: start.startOf("day").toUTC().toISO(),
+    endIso: end.endOf("day").toUTC().toISO()
+  };
+}
+
+// Monday-Friday of the week `months` from today, in shop time
+export function getRecommendedWeek(timezone, months) {
+  const target = DateTime.now().setZone(timezone).startOf("day").plus({ months });
+  const monday = target.minus({ days: target.weekday - 1 });
+  return { weekStart: monday.toISODate(), weekEnd: monday.plus({ days: 4 }).toISODate() };
+}
@@ -0,0 +1,26 @@
+export function formatCustomerName(customer) {
+  if (!customer || typeof customer !== "object") return "";
+
+  const first = typeof customer.firstName === "string" ? customer.firstName.trim() : "";
+  const last = typeof customer.lastName === "string" ? customer.lastName.trim() : "";
+  const full = [first, last].filter(Boolean).join(" ").trim();
+
+  if (full) return full;
+  if (typeof customer.name === "string") return customer.name.trim();
+  if (typeof customer.displayName === "string") return customer.displayName.trim();
+  return "";
+}
+
+export function formatVehicleLabel(vehicle) {
+  if (!vehicle || typeof vehicle !== "object") return "";
+
+  const year = vehicle.year != null ? String(vehicle.year).trim() : "";
+  const make = typeof vehicle.make === "string" ? vehicle.make.trim() : "";
+  const model = typeof vehicle.model === "string" ? vehicle.model.trim() : "";
+  const subModel = typeof vehicle.subModel === "string" ? vehicle.subModel.trim() : "";
+  const label = [year, make, model, subModel].filter(Boolean).join(" ").trim();
+
+  if (label) return label;
+  if (typeof vehicle.name === "string") return vehicle.name.trim();
+  return "";
+}
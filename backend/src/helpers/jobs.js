@@ -0,0 +1,54 @@
+export function getNormalizedJobStatus(job) {
+  return String(
+    job?.authorizationStatus ??
+      job?.authorizedStatus ??
+      job?.approvalStatus ??
+      job?.appointmentStatus ??
+      job?.status ??
+      ""
+  )
+    .trim()
+    .toUpperCase();
+}
+
+export function isApprovedJob(job) {
+  if (job?.authorized === true || job?.approved === true || job?.isApproved === true) return true;
+
+  const status = getNormalizedJobStatus(job);
+  if (status.includes("DECLIN") || status.includes("REJECT")) return false;
+  return (
+    status.includes("AUTH") ||
+    status.includes("APPROV") ||
+    status.includes("SOLD") ||
+    status.includes("COMPLETE")
+  );
+}
+
+export function isDeclinedJob(job) {
+  if (job?.authorized === false || job?.declined === true || job?.isDeclined === true) return true;
+
+  const status = getNormalizedJobStatus(job);
+  return status.includes("DECLIN") || status.includes("REJECT") || status.includes("UNAUTH");
+}
+
+/**
+ * Split RO jobs the same way the side panel does: performed jobs feed
+ * "Repeat Services", declined jobs feed "Declined Services".
+ */
+export function classifyRoJobs(jobs) {
+  const seen = new Set();
+  const unique = [];
+
+  for (const job of Array.isArray(jobs) ? jobs : []) {
+    if (!job || typeof job !== "object") continue;
+    const key = String(job.id ?? job.jobId ?? job.uuid ?? "");
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+    unique.push(job);
+  }
+
+  return {
+    performed: unique.filter(isApprovedJob),
+    declined: unique.filter(isDeclinedJob)
+  };
+}
@@ -0,0 +1,81 @@
+import { toShopDateTime } from "./dates.js";
+
+/**
+ * Mileage timeline (forward-only) and average miles per day from a
+ * vehicle's repair orders, for the interval recommendation.
+ */
+export function summarizeMileageHistory(repairOrders, timezone) {
+  const rawTimeline = [];
+
+  for (const ro of repairOrders) {
+    const date = ro.completedDate || ro.closedDate || ro.createdDate || null;
+    const mileage = ro.milesOut ?? ro.milesIn ?? null;
+
+    if (!date) continue;
+    if (!Number.isFinite(Number(mileage))) continue;
+
+    const shopDate = toShopDateTime(date, timezone);
+    if (!shopDate) continue;
+
+    const numericMileage = Number(mileage);
+
+    // Ignore zero or clearly invalid mileage
+    if (numericMileage <= 0) continue;
+
+    rawTimeline.push({
+      date,
+      dateKey: shopDate.toISODate(),
+      mileage: numericMileage
+    });
+  }
+
+  // Sort chronologically
+  rawTimeline.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // Remove mileage regressions (only keep forward movement)
+  const mileageTimeline = [];
+
+  for (const entry of rawTimeline) {
+    const lastValid = mileageTimeline[mileageTimeline.length - 1];
+    if (!lastValid || entry.mileage >= lastValid.mileage) {
+      mileageTimeline.push(entry);
+    }
+  }
+
+  // Average miles per day using first & last valid
+  let avgMilesPerDay = null;
+  let historySpanDays = null;
+
+  if (mileageTimeline.length >= 2) {
+    const first = mileageTimeline[0];
+    const last = mileageTimeline[mileageTimeline.length - 1];
+
+    const milesDelta = last.mileage - first.mileage;
+    const daysDelta = toShopDateTime(last.date, timezone)
+      .diff(toShopDateTime(first.date, timezone), "days").days;
+
+    if (daysDelta > 0 && milesDelta > 0) {
+      avgMilesPerDay = milesDelta / daysDelta;
+      historySpanDays = Math.round(daysDelta);
+    }
+  }
+
+  return {
+    mileageTimeline,
+    avgMilesPerDay,
+    dataPointCount: mileageTimeline.length,
+    historySpanDays
+  };
+}
+
+/**
+ * Months until the next visit that covers targetMiles at the vehicle's pace,
+ * or null when there is not enough history or it falls outside 1-12.
+ */
+export function getSmartRecommendedMonths(avgMilesPerDay, targetMiles) {
+  if (!Number.isFinite(avgMilesPerDay) || avgMilesPerDay <= 0) return null;
+
+  const milesPerMonth = avgMilesPerDay * 30.4375;
+  const rounded = Math.round(targetMiles / milesPerMonth);
+  return rounded >= 1 && rounded <= 12 ? rounded : null;
+}
@@ -0,0 +1,108 @@
+import crypto from "node:crypto";
+import { sendValidationError } from "./errors.js";
+import { log } from "./logging.js";
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.path} ${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+}
+
+/**
+ * Returns idempotent(scope), the middleware for write routes. Records live
+ * in the "idempotency" store for `ttlMs`.
+ */
+export function createIdempotency({ store, ttlMs }) {
+  const idempotencyInFlight = new Map();
+
+  async function getIdempotencyRecord(key) {
+    const all = await store.read("idempotency");
+    const record = all[key];
+    if (!record) return null;
+    if (Date.now() - record.createdAt > ttlMs) return null;
+    return record;
+  }
+
+  async function saveIdempotencyRecord(key, record) {
+    const all = await store.read("idempotency");
+    const now = Date.now();
+    const next = {};
+
+    // Drop expired keys while we are rewriting the file anyway
+    for (const [k, v] of Object.entries(all)) {
+      if (now - v.createdAt <= ttlMs) next[k] = v;
+    }
+    next[key] = record;
+
+    await store.write("idempotency", next);
+  }
+
+  /**
+   * Honors an Idempotency-Key header: the first successful (2xx) response for
+   * a key is stored and replayed for retries within IDEMPOTENCY_TTL_HOURS.
+   * A retry that arrives while the original is still running waits for it.
+   * Failed responses are not stored, so the client can retry with the same key.
+   * Every route using this must answer through res.json.
+   */
+  return function idempotent(scope) {
+    return async (req, res, next) => {
+      const header = String(req.get("Idempotency-Key") || "").trim();
+      if (!header) return next();
+
+      if (header.length > 200) {
+        return sendValidationError(res, "Idempotency-Key must be at most 200 characters");
+      }
+
+      try {
+        const key = `${scope}:${req.credential?.id ?? "anonymous"}:${header}`;
+        const fingerprint = fingerprintRequest(req);
+
+        let existing = await getIdempotencyRecord(key);
+        while (!existing && idempotencyInFlight.has(key)) {
+          await idempotencyInFlight.get(key);
+          existing = await getIdempotencyRecord(key);
+        }
+
+        if (existing) {
+          if (existing.fingerprint !== fingerprint) {
+            return res.status(422).json({
+              success: false,
+              code: "IDEMPOTENCY_KEY_REUSED",
+              message: "Idempotency-Key was already used for a different request"
+            });
+          }
+
+          res.setHeader("Idempotency-Replayed", "true");
+          return res.status(existing.status).json(existing.body);
+        }
+
+        // No await between the in-flight check above and claiming the key here
+        let settle;
+        idempotencyInFlight.set(key, new Promise((resolve) => (settle = resolve)));
+
+        const finish = () => {
+          idempotencyInFlight.delete(key);
+          settle();
+        };
+
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            const record = { fingerprint, status: res.statusCode, body, createdAt: Date.now() };
+            saveIdempotencyRecord(key, record)
+              .catch((err) => log.warn("saveIdempotencyRecord failed", { err }))
+              .finally(finish);
+          } else {
+            finish();
+          }
+          return originalJson(body);
+        };
+
+        return next();
+      } catch (err) {
+        return next(err);
+      }
+    };
+  };
+}
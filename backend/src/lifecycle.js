@@ -0,0 +1,74 @@
+import { flushLogs, log } from "./logging.js";
+
+/**
+ * Orderly shutdown for a listening `server`. shutdown() stops accepting
+ * connections, lets in-flight requests finish for up to `timeoutMs` (then
+ * cuts whatever is left), awaits `flush` (pending store writes), flushes the
+ * log streams and calls `exit` with the code. Metrics are scraped from
+ * memory, so there is nothing to push; the last scrape interval is lost.
+ *
+ * A request that ends after shutdown began answers with Connection: close,
+ * so keep-alive clients do not hold the server open.
+ */
+export function createShutdown({ server, timeoutMs, flush = async () => {}, exit = (code) => process.exit(code) }) {
+  const inFlight = new Set();
+  let shutdown = null;
+
+  server.on("request", (req, res) => {
+    if (shutdown) res.setHeader("Connection", "close");
+    inFlight.add(res);
+    res.on("close", () => inFlight.delete(res));
+  });
+
+  function drain() {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        log.warn("Shutdown deadline reached; closing in-flight requests", { inFlight: inFlight.size, timeoutMs });
+        server.closeAllConnections();
+        resolve(false);
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+      server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Idempotent: a signal during shutdown (or a fatal error) joins the one in
+   * progress, keeping the worst exit code.
+   */
+  return function requestShutdown(reason, exitCode = 0) {
+    if (shutdown) {
+      shutdown.exitCode = Math.max(shutdown.exitCode, exitCode);
+      return shutdown.done;
+    }
+
+    shutdown = { exitCode, done: null };
+    log.info("Shutting down", { reason, inFlight: inFlight.size });
+
+    for (const res of inFlight) {
+      if (!res.headersSent) res.setHeader("Connection", "close");
+    }
+
+    shutdown.done = (async () => {
+      const drained = await drain();
+      if (!drained) shutdown.exitCode = Math.max(shutdown.exitCode, 1);
+
+      try {
+        await flush();
+      } catch (err) {
+        shutdown.exitCode = Math.max(shutdown.exitCode, 1);
+        log.error("Flush during shutdown failed", { err });
+      }
+
+      log.info("Shutdown complete", { reason, drained, exitCode: shutdown.exitCode });
+      await flushLogs();
+      exit(shutdown.exitCode);
+    })();
+
+    return shutdown.done;
+  };
+}
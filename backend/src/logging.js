@@ -0,0 +1,107 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// One JSON object per line; Cloud Logging picks up `severity` and `message`.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function parseLogLevel(value) {
+  return LOG_LEVELS[String(value || "info").toLowerCase()] ?? LOG_LEVELS.info;
+}
+
+let logLevel = parseLogLevel(process.env.LOG_LEVEL);
+
+// For embedders that do not configure logging through LOG_LEVEL
+export function setLogLevel(value) {
+  logLevel = parseLogLevel(value);
+}
+
+// Per-request fields (request id, shop id, upstream call counts) for every log line
+export const requestContext = new AsyncLocalStorage();
+
+// Exact secret values scrubbed from any string that is logged. Configured
+// secrets are kept for the process lifetime; access tokens rotate hourly, so
+// only the most recent ones are tracked.
+const MAX_TRACKED_TOKENS = 100;
+const configuredSecrets = new Set();
+const recentTokens = new Set();
+
+export function registerSecret(value, { rotating = false } = {}) {
+  if (typeof value !== "string" || value.length < 8) return;
+  if (!rotating) {
+    configuredSecrets.add(value);
+    return;
+  }
+
+  recentTokens.delete(value);
+  recentTokens.add(value);
+  if (recentTokens.size > MAX_TRACKED_TOKENS) {
+    recentTokens.delete(recentTokens.values().next().value);
+  }
+}
+
+const SENSITIVE_KEY_PATTERN = /authorization|token|secret|password|api[-_]?key|cookie/i;
+const CREDENTIAL_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+function redactString(value) {
+  let out = value;
+  for (const secret of [...configuredSecrets, ...recentTokens]) {
+    if (out.includes(secret)) out = out.split(secret).join("[REDACTED]");
+  }
+  return out.replace(CREDENTIAL_PATTERN, "$1 [REDACTED]");
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value instanceof Error) {
+    return redact(
+      { name: value.name, message: value.message, status: value.status, stack: value.stack },
+      depth
+    );
+  }
+  if (!value || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY_PATTERN.test(key) ? "[REDACTED]" : redact(item, depth + 1);
+  }
+  return out;
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < logLevel) return;
+
+  const context = requestContext.getStore();
+  const { err, ...rest } = fields;
+  const entry = redact({
+    severity: level.toUpperCase(),
+    time: new Date().toISOString(),
+    message,
+    requestId: context?.requestId,
+    shopId: context?.shopId ?? undefined,
+    ...rest,
+    error: err
+  });
+
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const log = {
+  debug: (message, fields) => writeLog("debug", message, fields),
+  info: (message, fields) => writeLog("info", message, fields),
+  warn: (message, fields) => writeLog("warn", message, fields),
+  error: (message, fields) => writeLog("error", message, fields)
+};
+
+// Writes to a pipe are asynchronous; wait for them before the process exits
+export function flushLogs() {
+  return Promise.all(
+    [process.stdout, process.stderr].map((stream) => new Promise((resolve) => stream.write("", resolve)))
+  );
+}
+
+// Shop-scoped routes report their shop here (via canAccessShop) for the request log
+export function setRequestShop(shopId) {
+  const context = requestContext.getStore();
+  if (context && shopId != null) context.shopId = String(shopId);
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal Prometheus registry: counters, histograms and collect-time gauges
+ * rendered in the text exposition format on /metrics. Each app gets its own
+ * registry so embedded instances do not share series.
+ */
+const DEFAULT_LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const body = entries
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`)
+    .join(",");
+  return `{${body}}`;
+}
+
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+      inc(labels, value = 1) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || { labels: picked, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { labels, value } of series.values()) {
+          lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+        }
+        return lines.join("\n");
+      }
+    };
+    // Unlabelled counters report 0 before their first increment
+    if (labelNames.length === 0) metric.inc({}, 0);
+    metrics.push(metric);
+    return metric;
+  }
+
+  function createHistogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+    const series = new Map();
+    const metric = {
+      observe(labels, value) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const entry = series.get(key) || {
+          labels: picked,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        };
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: "+Inf" })} ${count}`);
+          lines.push(`${name}_sum${formatMetricLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatMetricLabels(labels)} ${count}`);
+        }
+        return lines.join("\n");
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Value read when /metrics is scraped, for state that already lives elsewhere
+  function createGauge(name, help, collect) {
+    const metric = {
+      render() {
+        return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`].join("\n");
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return `${metrics.map((metric) => metric.render()).join("\n")}\n`;
+  }
+
+  return { createCounter, createHistogram, createGauge, render };
+}
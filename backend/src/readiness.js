@@ -0,0 +1,87 @@
+import { getErrorCode } from "./errors.js";
+import { log } from "./logging.js";
+
+/**
+ * Deep readiness for /readyz: obtains a token and makes one small Tekmetric
+ * read for `shopId`. Probes within `cacheMs` share one result so Cloud Run
+ * cannot hammer Tekmetric. /readyz is unauthenticated, so a failed check
+ * reports only an error code; Tekmetric's response text stays in the log.
+ */
+export function createReadiness({ tekmetric, shopId, cacheMs }) {
+  let readinessResult = null;
+  let readinessCheckedAt = 0;
+  let readinessRequest = null;
+
+  async function checkReadiness() {
+    const missing = tekmetric.getMissingConfig();
+    const result = {
+      ready: false,
+      checkedAt: new Date().toISOString(),
+      tekmetricConfigured: missing.length === 0,
+      missingEnvVars: missing,
+      shopId,
+      token: { ok: false, expiresAt: null, latencyMs: null },
+      upstream: { ok: false, path: null, status: null, latencyMs: null }
+    };
+
+    if (missing.length > 0) return result;
+
+    let startedAt = Date.now();
+    try {
+      await tekmetric.getAccessToken({ shopId });
+      result.token = {
+        ok: true,
+        expiresAt: new Date(tekmetric.getTokenExpiresAt({ shopId })).toISOString(),
+        latencyMs: Date.now() - startedAt
+      };
+    } catch (err) {
+      result.token.latencyMs = Date.now() - startedAt;
+      result.token.error = getErrorCode(err);
+      log.warn("Readiness token check failed", { err });
+      return result;
+    }
+
+    // One small authorized read; the shop list when no shop is configured
+    const path = shopId
+      ? `/api/v1/shops/${encodeURIComponent(shopId)}`
+      : "/api/v1/shops";
+    result.upstream.path = path;
+
+    startedAt = Date.now();
+    try {
+      await tekmetric.get(path, { shopId, maxRetries: 0 });
+      result.upstream.ok = true;
+      result.upstream.status = 200;
+    } catch (err) {
+      result.upstream.status = err.status ?? null;
+      result.upstream.error = getErrorCode(err);
+      log.warn("Readiness upstream check failed", { err });
+    } finally {
+      result.upstream.latencyMs = Date.now() - startedAt;
+    }
+
+    result.ready = result.upstream.ok;
+    return result;
+  }
+
+  return async function getReadiness() {
+    if (readinessResult && Date.now() - readinessCheckedAt < cacheMs) {
+      return { ...readinessResult, cached: true };
+    }
+
+    if (!readinessRequest) {
+      readinessRequest = checkReadiness()
+        .then((result) => {
+          readinessResult = result;
+          readinessCheckedAt = Date.now();
+          if (!result.ready) log.warn("Readiness check failed", { readiness: result });
+          return result;
+        })
+        .finally(() => {
+          readinessRequest = null;
+        });
+    }
+
+    return { ...(await readinessRequest), cached: false };
+  };
+}
@@ -0,0 +1,593 @@
+import express from "express";
+import { denyShopAccess } from "../auth.js";
+import { sendError, sendNotConfigured, sendRouteError, sendValidationError } from "../errors.js";
+import {
+  buildAppointmentCounts,
+  getAppointmentStatus,
+  getAppointmentTypeKey,
+  isActiveAppointment,
+  normalizeAppointment
+} from "../helpers/appointments.js";
+import { buildAvailability } from "../helpers/availability.js";
+import { buildDateRangeKeys, toShopDateTime } from "../helpers/dates.js";
+import { rules, validateRequest } from "../validation.js";
+
+// shopId + inclusive YYYY-MM-DD range, shared by the calendar endpoints
+const shopDateRangeQuery = {
+  shopId: rules.id({ required: true }),
+  startDate: rules.date({ required: true }),
+  endDate: rules.date({ required: true })
+};
+
+const appointmentCountsSchema = {
+  query: {
+    ...shopDateRangeQuery,
+    appointmentType: rules.appointmentType(),
+    groupBy: rules.oneOf({ values: ["day", "hour"], default: "day" }),
+    includeTypes: rules.boolean({ default: false })
+  }
+};
+
+const appointmentListSchema = {
+  query: {
+    ...shopDateRangeQuery,
+    appointmentType: rules.appointmentType(),
+    status: rules.upperList({ default: [] })
+  }
+};
+
+const upcomingAppointmentsSchema = {
+  query: {
+    shopId: rules.id({ required: true }),
+    vehicleId: rules.id({ required: true }),
+    customerId: rules.id()
+  }
+};
+
+const availabilitySchema = {
+  query: {
+    ...shopDateRangeQuery,
+    type: rules.appointmentType({ default: "dropoff" })
+  }
+};
+
+// Fields a PATCH may change; POST additionally requires the ids, title and times
+const appointmentFields = {
+  shopId: rules.id({ required: true }),
+  title: rules.string({ maxLength: 255 }),
+  description: rules.string({ maxLength: 5000 }),
+  startTime: rules.dateTime(),
+  endTime: rules.dateTime(),
+  mileage: rules.number({ min: 0 }),
+  appointmentType: rules.appointmentType(),
+  color: rules.color()
+};
+
+const createAppointmentSchema = {
+  body: {
+    ...appointmentFields,
+    customerId: rules.id({ required: true }),
+    vehicleId: rules.id({ required: true }),
+    title: rules.string({ required: true, maxLength: 255 }),
+    startTime: rules.dateTime({ required: true }),
+    endTime: rules.dateTime({ required: true }),
+    color: rules.color({ default: "navy" }),
+    allowDuplicate: rules.boolean({ default: false })
+  }
+};
+
+const appointmentParamsSchema = { params: { id: rules.id({ required: true }) } };
+
+const updateAppointmentSchema = {
+  ...appointmentParamsSchema,
+  body: appointmentFields
+};
+
+const deleteAppointmentSchema = {
+  ...appointmentParamsSchema,
+  query: { shopId: rules.id({ required: true }) }
+};
+
+export function createAppointmentRoutes({
+  tekmetric,
+  queries,
+  auth,
+  shopSettings,
+  idempotent,
+  metrics,
+  getShopTimezone
+}) {
+  const router = express.Router();
+
+  /**
+   * Availability status of the hour `start` (a shop-zone DateTime) falls in,
+   * for a booking of `type`; "open" without a fetch when the shop sets no limits.
+   */
+  async function getSlotStatusForBooking(shopId, start, type) {
+    const capacity = await shopSettings.getCapacity(shopId);
+    const limit = type === "wait" ? capacity.maxWaitersPerHour : capacity.maxDropoffsPerDay;
+    if (limit == null && capacity.blockedHours.length === 0) return "open";
+
+    const timezone = getShopTimezone(shopId);
+    const dateKey = start.toISODate();
+    const { settings } = await shopSettings.getSettings(shopId);
+    const appointments = await queries.fetchAppointmentsForRange(shopId, dateKey, dateKey);
+    const day = buildAvailability(appointments, [dateKey], type, capacity, timezone, settings.businessHours)[dateKey];
+
+    // Hours outside the bookable window only carry the day's drop-off limit
+    if (day.hours[start.hour]) return day.hours[start.hour].status;
+    return day.limit != null && day.booked >= day.limit ? "full" : "open";
+  }
+
+  const appointmentsCreatedTotal = metrics.createCounter(
+    "appointments_created_total",
+    "Advance appointments created, by type and shop.",
+    ["type", "shop_id"]
+  );
+
+  /*
+   * GET /appointments/counts
+   *
+   * Default: { counts: { "2026-10-20": 4, ... } } (active appointments per day).
+   * Optional:
+   *   appointmentType = dropoff | wait | waiter  (only count that type)
+   *   groupBy = hour  -> { counts: { "2026-10-20": { dropoff: { "8": 3 }, wait: { "9": 1 } } } }
+   *   includeTypes = 1 (day grouping) -> { "2026-10-20": { total, dropoff, wait } }
+   */
+  router.get("/appointments/counts", validateRequest(appointmentCountsSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const {
+        shopId,
+        startDate,
+        endDate,
+        appointmentType: typeFilter,
+        groupBy,
+        includeTypes
+      } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const timezone = getShopTimezone(shopId);
+      const dateKeys = buildDateRangeKeys(startDate, endDate, timezone);
+      if (dateKeys.length === 0) {
+        return sendValidationError(res, "endDate must not be before startDate");
+      }
+
+      const appointments = await queries.fetchAppointmentsForRange(shopId, startDate, endDate);
+
+      const counts = buildAppointmentCounts(appointments, dateKeys, timezone, {
+        groupBy,
+        includeTypes,
+        typeFilter
+      });
+
+      return res.json({
+        success: true,
+        timezone,
+        groupBy,
+        appointmentType: typeFilter,
+        counts
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments/counts error");
+    }
+  });
+
+  /*
+   * GET /appointments
+   *
+   * Lists appointments for a shop between startDate and endDate (inclusive),
+   * normalized for the extension. Optional filters:
+   *   appointmentType = dropoff | wait | waiter
+   *   status          = comma-separated Tekmetric statuses (e.g. NONE,ARRIVED)
+   * Without a status filter, cancelled / no-show appointments are excluded.
+   */
+  router.get("/appointments", validateRequest(appointmentListSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const {
+        shopId,
+        startDate,
+        endDate,
+        appointmentType: typeFilter,
+        status: statusFilter
+      } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const timezone = getShopTimezone(shopId);
+      if (buildDateRangeKeys(startDate, endDate, timezone).length === 0) {
+        return sendValidationError(res, "endDate must not be before startDate");
+      }
+
+      const raw = await queries.fetchAppointmentsForRange(shopId, startDate, endDate);
+
+      const appointments = raw
+        .filter((appt) => {
+          if (!appt || appt.deletedDate) return false;
+          if (statusFilter.length > 0) {
+            return statusFilter.includes(getAppointmentStatus(appt));
+          }
+          return isActiveAppointment(appt);
+        })
+        .map((appt) => normalizeAppointment(appt, timezone))
+        // Untyped appointments count as drop-offs, as in /appointments/counts
+        .filter((appt) => !typeFilter || (appt.appointmentType ?? "dropoff") === typeFilter)
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        timezone,
+        startDate,
+        endDate,
+        count: appointments.length,
+        appointments
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments list error");
+    }
+  });
+
+  /*
+   * GET /appointments/upcoming?shopId&vehicleId[&customerId]
+   *
+   * Future active appointments already booked for a vehicle, so the side panel
+   * can warn before a second advance appointment is made.
+   */
+  router.get("/appointments/upcoming", validateRequest(upcomingAppointmentsSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { shopId, vehicleId, customerId } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const appointments = await queries.fetchUpcomingVehicleAppointments(
+        shopId,
+        vehicleId,
+        customerId
+      );
+
+      return res.json({
+        success: true,
+        timezone: getShopTimezone(shopId),
+        appointments
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments/upcoming error");
+    }
+  });
+
+  /*
+   * GET /availability
+   *
+   * Open / limited / full status per day and per hour for one appointment
+   * type (dropoff | wait | waiter, default dropoff), using the shop's
+   * capacity, business hours and its booked appointments. If Tekmetric
+   * cannot list the bookings the request fails; an all-open schedule would
+   * invite overbooking.
+   */
+  router.get("/availability", validateRequest(availabilitySchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { shopId, startDate, endDate, type } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const timezone = getShopTimezone(shopId);
+      const dateKeys = buildDateRangeKeys(startDate, endDate, timezone);
+      if (dateKeys.length === 0) {
+        return sendValidationError(res, "endDate must not be before startDate");
+      }
+
+      const capacity = await shopSettings.getCapacity(shopId);
+      const { settings } = await shopSettings.getSettings(shopId);
+      const appointments = await queries.fetchAppointmentsForRange(shopId, startDate, endDate);
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        timezone,
+        type,
+        capacity,
+        days: buildAvailability(
+          appointments,
+          dateKeys,
+          type,
+          capacity,
+          timezone,
+          settings.businessHours
+        )
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/availability error");
+    }
+  });
+
+  /*
+   * POST /appointments
+   *
+   * Creates an appointment in Tekmetric.
+   * Now accepts: appointmentType ("dropoff" | "wait")
+   * in addition to the original required fields.
+   * Returns 409 DUPLICATE_APPOINTMENT when the vehicle already has an upcoming
+   * appointment, unless allowDuplicate: true is sent, and 409 SLOT_FULL when
+   * the shop's capacity (see GET /availability) has no room at that time.
+   * Send an Idempotency-Key header to make retries safe (see idempotent()).
+   */
+  router.post("/appointments", validateRequest(createAppointmentSchema), idempotent("appointments:create"), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const {
+        shopId,
+        customerId,
+        vehicleId,
+        title,
+        description,
+        startTime,
+        endTime,
+        mileage,
+        appointmentType,
+        color,
+        allowDuplicate
+      } = req.valid.body;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      // Times without an offset are shop wall time (e.g. "2026-10-20T08:00:00").
+      const timezone = getShopTimezone(shopId);
+      const start = toShopDateTime(startTime, timezone);
+      const end = toShopDateTime(endTime, timezone);
+
+      if (end <= start) {
+        return sendValidationError(res, "endTime must be after startTime");
+      }
+
+      const startIso = start.toUTC().toISO();
+      const endIso = end.toUTC().toISO();
+
+      // Refuse a second future appointment for the vehicle unless the advisor
+      // explicitly chose to book anyway. If the lookup fails, so does the
+      // booking: we cannot tell it is not a duplicate.
+      if (!allowDuplicate) {
+        const existingAppointments = await queries.fetchUpcomingVehicleAppointments(
+          shopId,
+          vehicleId,
+          customerId
+        );
+
+        if (existingAppointments.length > 0) {
+          return sendError(res, 409, "DUPLICATE_APPOINTMENT", "This vehicle already has an upcoming appointment", {
+            timezone,
+            existingAppointments
+          });
+        }
+      }
+
+      // The panel hides full slots, but its availability may be stale or missing
+      const slotStatus = await getSlotStatusForBooking(shopId, start, appointmentType ?? "dropoff");
+      if (slotStatus === "full") {
+        return sendError(res, 409, "SLOT_FULL", "The shop has no capacity left at that time", { timezone });
+      }
+
+      // Determine Tekmetric appointment option
+      let appointmentOption = undefined;
+      let dropoffTime = undefined;
+      let pickupTime = undefined;
+
+      if (appointmentType === "dropoff") {
+        appointmentOption = { id: 2 };   // DROP
+        dropoffTime = startIso;
+        pickupTime = endIso;
+      } else if (appointmentType === "wait") {
+        appointmentOption = { id: 1 };   // STAY
+      }
+
+      const appointmentPayload = {
+        shopId,
+        customerId,
+        vehicleId,
+        title,
+        startTime: startIso,
+        endTime: endIso,
+        color,
+        rideOption: "NONE",
+        status: "NONE",
+        appointmentOption,
+        dropoffTime,
+        pickupTime
+      };
+
+      if (description != null) {
+        appointmentPayload.description = description;
+      }
+
+      if (mileage != null) {
+        appointmentPayload.mileage = mileage;
+      }
+
+      const data = await tekmetric.request(
+        "POST",
+        "/api/v1/appointments",
+        appointmentPayload,
+        { shopId }
+      );
+
+      appointmentsCreatedTotal.inc({
+        type: appointmentType ?? "unspecified",
+        shop_id: shopId
+      });
+
+      return res.json({
+        success: true,
+        timezone,
+        startTime: startIso,
+        endTime: endIso,
+        appointment: data
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments error");
+    }
+  });
+
+  /*
+   * PATCH /appointments/:id
+   *
+   * Moves or edits an appointment created by the extension. Accepts any of
+   * startTime, endTime, appointmentType, color, title, description, mileage;
+   * shopId is required so times are read in the shop's timezone.
+   */
+  router.patch("/appointments/:id", validateRequest(updateAppointmentSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { id } = req.valid.params;
+      const {
+        shopId,
+        title,
+        description,
+        startTime,
+        endTime,
+        mileage,
+        appointmentType: typeKey,
+        color
+      } = req.valid.body;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      if ((startTime && !endTime) || (!startTime && endTime)) {
+        return sendValidationError(res, "startTime and endTime must be changed together");
+      }
+
+      const timezone = getShopTimezone(shopId);
+      const patch = {};
+
+      if (title?.trim()) patch.title = title;
+      if (description != null) patch.description = description;
+      if (color) patch.color = color;
+      if (mileage != null) patch.mileage = mileage;
+
+      let startIso = null;
+      let endIso = null;
+      if (startTime) {
+        const start = toShopDateTime(startTime, timezone);
+        const end = toShopDateTime(endTime, timezone);
+        if (end <= start) {
+          return sendValidationError(res, "endTime must be after startTime");
+        }
+        startIso = start.toUTC().toISO();
+        endIso = end.toUTC().toISO();
+        patch.startTime = startIso;
+        patch.endTime = endIso;
+      }
+
+      const existing = await queries.fetchShopAppointment(shopId, id);
+      if (!existing) {
+        return sendError(res, 404, "NOT_FOUND", "Appointment not found for this shop");
+      }
+
+      // Drop-off/pickup times follow the appointment window, so a time change
+      // needs the type; fall back to the stored one when the caller sent none.
+      const effectiveType = typeKey ?? getAppointmentTypeKey(existing);
+
+      if (effectiveType === "dropoff") {
+        if (typeKey) patch.appointmentOption = { id: 2 };   // DROP
+        if (startIso) {
+          patch.dropoffTime = startIso;
+          patch.pickupTime = endIso;
+        }
+      } else if (effectiveType === "wait" && typeKey) {
+        patch.appointmentOption = { id: 1 };   // STAY
+        patch.dropoffTime = null;
+        patch.pickupTime = null;
+      }
+
+      if (Object.keys(patch).length === 0) {
+        return sendValidationError(res, "Nothing to update");
+      }
+
+      const data = await tekmetric.request(
+        "PATCH",
+        `/api/v1/appointments/${encodeURIComponent(id)}`,
+        patch,
+        { shopId }
+      );
+
+      return res.json({
+        success: true,
+        timezone,
+        appointmentId: id,
+        startTime: startIso,
+        endTime: endIso,
+        appointment: data
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments/:id PATCH error");
+    }
+  });
+
+  /*
+   * DELETE /appointments/:id
+   *
+   * Cancels (deletes) an appointment in Tekmetric.
+   */
+  router.delete("/appointments/:id", validateRequest(deleteAppointmentSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { id } = req.valid.params;
+      const { shopId } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const existing = await queries.fetchShopAppointment(shopId, id);
+      if (!existing) {
+        return sendError(res, 404, "NOT_FOUND", "Appointment not found for this shop");
+      }
+
+      const data = await tekmetric.request(
+        "DELETE",
+        `/api/v1/appointments/${encodeURIComponent(id)}`,
+        undefined,
+        { shopId }
+      );
+
+      return res.json({
+        success: true,
+        appointmentId: id,
+        result: data
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/appointments/:id DELETE error");
+    }
+  });
+
+  return router;
+}
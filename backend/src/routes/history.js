@@ -0,0 +1,45 @@
+import express from "express";
+import { denyShopAccess } from "../auth.js";
+import { sendNotConfigured, sendRouteError } from "../errors.js";
+import { summarizeMileageHistory } from "../helpers/mileage.js";
+import { rules, validateRequest } from "../validation.js";
+
+const vehicleHistorySchema = {
+  params: { vehicleId: rules.id({ required: true }) },
+  query: { shopId: rules.id({ required: true }) }
+};
+
+export function createHistoryRoutes({ tekmetric, queries, auth, getShopTimezone }) {
+  const router = express.Router();
+
+  router.get("/vehicle-history/:vehicleId", validateRequest(vehicleHistorySchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { vehicleId } = req.valid.params;
+      const { shopId } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const timezone = getShopTimezone(shopId);
+
+      const repairOrders = await queries.fetchVehicleRepairOrders(vehicleId, shopId);
+
+      const history = summarizeMileageHistory(repairOrders, timezone);
+
+      return res.json({
+        success: true,
+        vehicleId,
+        timezone,
+        ...history
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/vehicle-history error");
+    }
+  });
+
+  return router;
+}
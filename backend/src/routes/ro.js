@@ -0,0 +1,173 @@
+import express from "express";
+import { denyShopAccess } from "../auth.js";
+import { getErrorCode, sendNotConfigured, sendRouteError } from "../errors.js";
+import { buildAppointmentCounts } from "../helpers/appointments.js";
+import { buildDateRangeKeys, getRecommendedWeek } from "../helpers/dates.js";
+import { classifyRoJobs } from "../helpers/jobs.js";
+import { getSmartRecommendedMonths, summarizeMileageHistory } from "../helpers/mileage.js";
+import { log } from "../logging.js";
+import { wantsFreshData } from "../tekmetric/cache.js";
+import { rules, validateRequest } from "../validation.js";
+
+// shopId is optional: it picks the shop's Tekmetric credential up front
+// instead of trying each credential the API key can reach
+const roSchema = {
+  params: { roId: rules.id({ required: true }) },
+  query: { shopId: rules.id() }
+};
+
+const roContextSchema = {
+  params: roSchema.params,
+  query: {
+    ...roSchema.query,
+    months: rules.integer({ min: 1, max: 12 }),
+    defaultMonths: rules.integer({ min: 1, max: 12 }),
+    targetMiles: rules.integer({ min: 1 })
+  }
+};
+
+export function createRoRoutes({ tekmetric, queries, auth, shopSettings, getShopTimezone }) {
+  const router = express.Router();
+
+  /*
+   * GET /ro/:roId
+   *
+   * Returns repair order data including customer, vehicle, and jobs.
+   * Jobs are used by the extension to populate the Repeat Services and
+   * Declined Services lists on screen 2. RO, customer and vehicle come from
+   * the response cache unless the request sends Cache-Control: no-cache.
+   * The optional `shopId` query names the RO's shop.
+   */
+  router.get("/ro/:roId", validateRequest(roSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { roId } = req.valid.params;
+      const { shopId } = req.valid.query;
+      const bypassCache = wantsFreshData(req);
+
+      if (shopId != null && !auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const ro = await queries.fetchRepairOrder(roId, {
+        bypass: bypassCache,
+        shopId,
+        shopIds: auth.accessibleShops(req)
+      });
+
+      if (!auth.canAccessShop(req, ro.shopId)) return denyShopAccess(res, ro.shopId);
+
+      // Customer, vehicle, and jobs in parallel
+      const payload = await queries.buildRepairOrderPayload(ro, { bypass: bypassCache });
+
+      return res.json({ success: true, ...payload });
+    } catch (err) {
+      return sendRouteError(res, err, "/ro/:roId error");
+    }
+  });
+
+  /*
+   * GET /ro/:roId/context
+   *
+   * Everything the side panel needs to paint screen 1 in one round trip: the
+   * /ro/:roId payload plus classified jobs, mileage history, shop settings,
+   * the vehicle's upcoming appointments and counts for the recommended week.
+   *
+   * The recommended interval is `months` when given, else the smart interval
+   * from mileage history, else the shop default. `defaultMonths`/`targetMiles`
+   * stand in for the shop defaults while the shop has no saved settings.
+   * History, appointments and counts are best effort; each failed part is
+   * listed in `warnings` as "<part>: <error code>" (e.g. "counts:
+   * UPSTREAM_TIMEOUT") instead of failing the request.
+   */
+  router.get("/ro/:roId/context", validateRequest(roContextSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { roId } = req.valid.params;
+      const { shopId: requestedShopId, months, defaultMonths, targetMiles } = req.valid.query;
+
+      const bypassCache = wantsFreshData(req);
+
+      if (requestedShopId != null && !auth.canAccessShop(req, requestedShopId)) {
+        return denyShopAccess(res, requestedShopId);
+      }
+
+      const ro = await queries.fetchRepairOrder(roId, {
+        bypass: bypassCache,
+        shopId: requestedShopId,
+        shopIds: auth.accessibleShops(req)
+      });
+      if (!auth.canAccessShop(req, ro.shopId)) return denyShopAccess(res, ro.shopId);
+
+      const shopId = String(ro.shopId);
+      const timezone = getShopTimezone(shopId);
+      const warnings = [];
+
+      const bestEffort = (name, promise, fallback) =>
+        promise.catch((err) => {
+          log.warn("/ro/:roId/context partial failure", { part: name, err });
+          warnings.push(`${name}: ${getErrorCode(err)}`);
+          return fallback;
+        });
+
+      const [payload, settingsResult, history, existingAppointments] = await Promise.all([
+        queries.buildRepairOrderPayload(ro, { bypass: bypassCache }),
+        shopSettings.getSettings(shopId),
+        bestEffort(
+          "history",
+          queries.fetchVehicleRepairOrders(ro.vehicleId, shopId).then((ros) =>
+            summarizeMileageHistory(ros, timezone)
+          ),
+          null
+        ),
+        bestEffort(
+          "existingAppointments",
+          queries.fetchUpcomingVehicleAppointments(shopId, ro.vehicleId, ro.customerId),
+          []
+        )
+      ]);
+
+      const { settings, isDefault } = settingsResult;
+      const smartMonths = getSmartRecommendedMonths(
+        history?.avgMilesPerDay,
+        (isDefault && targetMiles) || settings.smartTargetMiles
+      );
+      const recommendedMonths =
+        months ?? smartMonths ?? ((isDefault && defaultMonths) || settings.defaultMonths);
+      const { weekStart, weekEnd } = getRecommendedWeek(timezone, recommendedMonths);
+
+      const counts = await bestEffort(
+        "counts",
+        queries.fetchAppointmentsForRange(shopId, weekStart, weekEnd).then((appointments) =>
+          buildAppointmentCounts(
+            appointments,
+            buildDateRangeKeys(weekStart, weekEnd, timezone),
+            timezone
+          )
+        ),
+        null
+      );
+
+      return res.json({
+        success: true,
+        ro: { ...payload, classifiedJobs: classifyRoJobs(payload.jobs) },
+        history,
+        settings: { isDefault, settings },
+        existingAppointments,
+        recommendation: { months: recommendedMonths, smartMonths, weekStart, weekEnd },
+        counts,
+        warnings
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/ro/:roId/context error");
+    }
+  });
+
+  return router;
+}
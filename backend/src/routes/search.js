@@ -0,0 +1,148 @@
+import express from "express";
+import { denyShopAccess } from "../auth.js";
+import { sendNotConfigured, sendRouteError } from "../errors.js";
+import { formatCustomerName, formatVehicleLabel } from "../helpers/format.js";
+import { log } from "../logging.js";
+import { wantsFreshData } from "../tekmetric/cache.js";
+import { rules, validateRequest } from "../validation.js";
+
+// ============================
+// RO Search (OPEN: Estimate/WIP/Complete not posted)
+// ============================
+const roSearchSchema = {
+  query: {
+    shopId: rules.id({ required: true }),
+    q: rules.string({ maxLength: 200 }),
+    page: rules.integer({ min: 0, default: 0 }),
+    size: rules.integer({ min: 1, max: 100, default: 20 })
+  }
+};
+
+export function createSearchRoutes({ tekmetric, auth, cacheTtlMs }) {
+  const router = express.Router();
+
+  router.get("/ro-search", validateRequest(roSearchSchema), async (req, res) => {
+    try {
+      const missing = tekmetric.getMissingConfig();
+      if (missing.length > 0) {
+        return sendNotConfigured(res, missing);
+      }
+
+      const { shopId, q, page, size } = req.valid.query;
+
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const bypassCache = wantsFreshData(req);
+
+      // OPEN ROs per your definition:
+      // 1 = Estimate, 2 = Work-in-Progress, 3 = Complete (NOT Posted)
+      const params = new URLSearchParams({
+        shop: String(shopId),
+        page: String(page),
+        size: String(size)
+      });
+
+      if (q && q.trim()) params.set("search", q.trim());
+
+      // Tekmetric supports repeated query params for arrays in most setups:
+      // ...&repairOrderStatusId=1&repairOrderStatusId=2&repairOrderStatusId=3
+      params.append("repairOrderStatusId", "1");
+      params.append("repairOrderStatusId", "2");
+      params.append("repairOrderStatusId", "3");
+
+      // Optional: sort newest-ish
+      params.set("sort", "createdDate");
+      params.set("sortDirection", "DESC");
+
+      const payload = await tekmetric.get(`/api/v1/repair-orders?${params.toString()}`);
+
+      const rows = Array.isArray(payload?.content) ? payload.content : [];
+
+      const customerIds = [...new Set(
+        rows
+          .map((ro) => ro?.customerId)
+          .filter((id) => id != null)
+          .map((id) => String(id))
+      )];
+
+      const vehicleIds = [...new Set(
+        rows
+          .map((ro) => ro?.vehicleId)
+          .filter((id) => id != null)
+          .map((id) => String(id))
+      )];
+
+      const customerMap = new Map();
+      const vehicleMap = new Map();
+
+      await Promise.all([
+        Promise.all(customerIds.map(async (customerId) => {
+          try {
+            const customer = await tekmetric.cachedGet(
+              `/api/v1/customers/${encodeURIComponent(customerId)}`,
+              { shopId, ttlMs: cacheTtlMs.customer, bypass: bypassCache }
+            );
+            customerMap.set(customerId, customer);
+          } catch (err) {
+            log.warn("/ro-search customer lookup failed", { customerId, err });
+          }
+        })),
+        Promise.all(vehicleIds.map(async (vehicleId) => {
+          try {
+            const vehicle = await tekmetric.cachedGet(
+              `/api/v1/vehicles/${encodeURIComponent(vehicleId)}`,
+              { shopId, ttlMs: cacheTtlMs.vehicle, bypass: bypassCache }
+            );
+            vehicleMap.set(vehicleId, vehicle);
+          } catch (err) {
+            log.warn("/ro-search vehicle lookup failed", { vehicleId, err });
+          }
+        }))
+      ]);
+
+      // Return a slim shape for the UI
+      const items = rows.map((ro) => {
+        const customer = customerMap.get(String(ro.customerId));
+        const vehicleData = vehicleMap.get(String(ro.vehicleId));
+        const customerName =
+          formatCustomerName(customer) ||
+          (typeof ro.customerName === "string" ? ro.customerName.trim() : "") ||
+          (typeof ro.customer === "string" ? ro.customer.trim() : "");
+
+        const vehicle =
+          formatVehicleLabel(vehicleData) ||
+          (typeof ro.vehicle === "string" ? ro.vehicle.trim() : "") ||
+          (typeof ro.vehicleLabel === "string" ? ro.vehicleLabel.trim() : "");
+
+        return {
+          id: ro.id,
+          roNumber: ro.repairOrderNumber,
+          statusId: ro.repairOrderStatus?.id ?? null,
+          statusName: ro.repairOrderStatus?.name ?? "",
+          status: ro.repairOrderStatus?.name ?? "",
+          customerName,
+          vehicle,
+          customerId: ro.customerId ?? null,
+          vehicleId: ro.vehicleId ?? null,
+          milesIn: ro.milesIn ?? null,
+          milesOut: ro.milesOut ?? null,
+          createdDate: ro.createdDate ?? null,
+          updatedDate: ro.updatedDate ?? null
+        };
+      });
+
+      return res.json({
+        success: true,
+        items,
+        page: payload?.number ?? page,
+        totalPages: payload?.totalPages ?? 0,
+        totalElements: payload?.totalElements ?? items.length,
+        last: payload?.last ?? true
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/ro-search error");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,94 @@
+import crypto from "node:crypto";
+import { readFileSync } from "node:fs";
+import express from "express";
+import { getPresentedApiKey, sha256Hex } from "../auth.js";
+import { sendError } from "../errors.js";
+import { log, registerSecret } from "../logging.js";
+
+// The API contract; the extension's client is generated from the same file
+// (npm run generate:client)
+const OPENAPI_DOCUMENT = JSON.parse(
+  readFileSync(new URL("../../openapi.json", import.meta.url), "utf8")
+);
+
+/**
+ * Unauthenticated service endpoints: banner, probes and the OpenAPI document.
+ * /metrics takes METRICS_TOKEN or an API key, unless `metricsPublic`.
+ */
+export function createServiceRoutes({
+  tekmetric,
+  sandboxTekmetric,
+  auth,
+  getReadiness,
+  metrics,
+  metricsToken,
+  metricsPublic = false
+}) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    res.status(200).send("Advance Appointment Service Running");
+  });
+
+  router.get("/healthz", (req, res) => {
+    const missing = tekmetric.getMissingConfig();
+    res.status(200).json({
+      ok: true,
+      service: "advance-appointment-service",
+      tekmetricConfigured: missing.length === 0,
+      missingEnvVars: missing,
+      authConfigured: auth.configured,
+      tekmetric: tekmetric.stats(),
+      cache: tekmetric.cacheStats(),
+      // Optional; sandbox requests answer 503 until it is configured
+      sandbox: {
+        tekmetricConfigured: sandboxTekmetric.getMissingConfig().length === 0,
+        missingEnvVars: sandboxTekmetric.getMissingConfig()
+      }
+    });
+  });
+
+  // Deep check: obtains a token and makes one Tekmetric call (cached briefly)
+  router.get("/readyz", async (req, res) => {
+    try {
+      const readiness = await getReadiness();
+      res.status(readiness.ready ? 200 : 503).json({
+        service: "advance-appointment-service",
+        ...readiness
+      });
+    } catch (err) {
+      log.error("Readiness check error", { err });
+      res.status(503).json({ ready: false, message: "Readiness check failed" });
+    }
+  });
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(OPENAPI_DOCUMENT);
+  });
+
+  // Scraped by Prometheus with "Authorization: Bearer <METRICS_TOKEN>". Without
+  // a token any API key works; Tekmetric paths carry shop ids, so the endpoint
+  // is only open with METRICS_PUBLIC=true.
+  registerSecret(metricsToken);
+
+  function authorizeMetrics(req, res, next) {
+    if (metricsToken) {
+      const presented = Buffer.from(sha256Hex(getPresentedApiKey(req) || ""), "hex");
+      const expected = Buffer.from(sha256Hex(metricsToken), "hex");
+      if (!crypto.timingSafeEqual(expected, presented)) {
+        return sendError(res, 401, "UNAUTHORIZED", "Invalid metrics token");
+      }
+      return next();
+    }
+
+    if (metricsPublic) return next();
+    return auth.authenticate(req, res, next);
+  }
+
+  router.get("/metrics", authorizeMetrics, (req, res) => {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(metrics.render());
+  });
+
+  return router;
+}
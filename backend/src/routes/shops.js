@@ -0,0 +1,115 @@
+import express from "express";
+import { denyRole, denyShopAccess } from "../auth.js";
+import { sendRouteError, sendValidationError } from "../errors.js";
+import { validateCapacity, validateShopSettings } from "../shopSettings.js";
+import { rules, validateRequest } from "../validation.js";
+
+const shopParamsSchema = { params: { shopId: rules.id({ required: true }) } };
+
+export function createShopRoutes({ auth, shopSettings }) {
+  const router = express.Router();
+
+  router.get("/shops/:shopId/capacity", validateRequest(shopParamsSchema), async (req, res) => {
+    try {
+      const { shopId } = req.valid.params;
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const capacity = await shopSettings.getCapacity(shopId);
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        capacity
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/shops/:shopId/capacity error");
+    }
+  });
+
+  /*
+   * PUT /shops/:shopId/capacity
+   *
+   * Replaces the shop's capacity model; omitted fields fall back to defaults.
+   * Manager keys only.
+   */
+  router.put("/shops/:shopId/capacity", validateRequest(shopParamsSchema), async (req, res) => {
+    try {
+      const { shopId } = req.valid.params;
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+      if (!auth.hasRole(req, "manager")) return denyRole(res, "manager");
+
+      const result = validateCapacity(req.body);
+
+      if (!result.ok) {
+        return sendValidationError(res, result.errors);
+      }
+
+      await shopSettings.saveCapacity(shopId, result.capacity);
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        capacity: result.capacity
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/shops/:shopId/capacity error");
+    }
+  });
+
+  /*
+   * GET /shops/:shopId/settings
+   *
+   * Scheduler defaults for the shop (interval, smart target miles, color,
+   * business hours per weekday). isDefault is true until a manager saves them.
+   */
+  router.get("/shops/:shopId/settings", validateRequest(shopParamsSchema), async (req, res) => {
+    try {
+      const { shopId } = req.valid.params;
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+
+      const { settings, isDefault } = await shopSettings.getSettings(shopId);
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        isDefault,
+        settings
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/shops/:shopId/settings error");
+    }
+  });
+
+  /*
+   * PUT /shops/:shopId/settings
+   *
+   * Replaces the shop's settings; omitted fields (and weekdays) fall back to defaults.
+   * Manager keys only: the settings apply to every advisor's panel.
+   */
+  router.put("/shops/:shopId/settings", validateRequest(shopParamsSchema), async (req, res) => {
+    try {
+      const { shopId } = req.valid.params;
+      if (!auth.canAccessShop(req, shopId)) return denyShopAccess(res, shopId);
+      if (!auth.hasRole(req, "manager")) return denyRole(res, "manager");
+
+      const result = validateShopSettings(req.body);
+
+      if (!result.ok) {
+        return sendValidationError(res, result.errors);
+      }
+
+      await shopSettings.saveSettings(shopId, result.settings);
+
+      return res.json({
+        success: true,
+        shopId: String(shopId),
+        isDefault: false,
+        settings: result.settings
+      });
+    } catch (err) {
+      return sendRouteError(res, err, "/shops/:shopId/settings error");
+    }
+  });
+
+  return router;
+}
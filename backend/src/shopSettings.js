@@ -0,0 +1,194 @@
+import { rules } from "./validation.js";
+
+// Luxon weekday order (1 = Monday ... 7 = Sunday)
+export const WEEKDAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+export const TEKMETRIC_COLORS = [
+  "red",
+  "pink",
+  "yellow",
+  "orange",
+  "light green",
+  "green",
+  "blue",
+  "navy",
+  "lavender",
+  "purple"
+];
+
+// Mirrors the extension's built-in SHOP_CONFIG defaults
+export const DEFAULT_SHOP_SETTINGS = {
+  defaultMonths: 6,
+  defaultMiles: 6000,
+  smartTargetMiles: 6000,
+  defaultColor: "navy",
+  // { open, close } in shop-local hours, or null when closed that day
+  businessHours: Object.fromEntries(WEEKDAY_KEYS.map((day) => [day, { open: 6, close: 22 }]))
+};
+
+// Bodies are JSON: numbers only, so true, "", " 7 " and [5] are rejected
+function readStrictInteger(raw, key, min, max) {
+  return rules.integer({ min, max, required: true, strict: true })(raw, key);
+}
+
+export function validateShopSettings(input) {
+  const errors = [];
+  const next = {
+    ...DEFAULT_SHOP_SETTINGS,
+    businessHours: { ...DEFAULT_SHOP_SETTINGS.businessHours }
+  };
+  if (!input || typeof input !== "object") {
+    return { ok: false, errors: ["body must be an object"], settings: null };
+  }
+
+  const readInt = (key, min, max) => {
+    if (!(key in input)) return;
+    const result = readStrictInteger(input[key], key, min, max);
+    if (result.error) errors.push(result.error);
+    else next[key] = result.value;
+  };
+
+  readInt("defaultMonths", 1, 12);
+  readInt("defaultMiles", 1000, 100000);
+  readInt("smartTargetMiles", 1000, 100000);
+
+  if ("defaultColor" in input) {
+    if (TEKMETRIC_COLORS.includes(input.defaultColor)) {
+      next.defaultColor = input.defaultColor;
+    } else {
+      errors.push(`defaultColor must be one of: ${TEKMETRIC_COLORS.join(", ")}`);
+    }
+  }
+
+  if ("businessHours" in input) {
+    const hours = input.businessHours;
+    if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+      errors.push("businessHours must be an object keyed by weekday (mon..sun)");
+    } else {
+      for (const [day, value] of Object.entries(hours)) {
+        if (!WEEKDAY_KEYS.includes(day)) {
+          errors.push(`businessHours.${day} is not a weekday (use ${WEEKDAY_KEYS.join(", ")})`);
+          continue;
+        }
+        if (value === null) {
+          next.businessHours[day] = null;
+          continue;
+        }
+
+        const open = readStrictInteger(value?.open, "open", 0, 24);
+        const close = readStrictInteger(value?.close, "close", 0, 24);
+        if (open.error || close.error || open.value >= close.value) {
+          errors.push(`businessHours.${day} must be null or { open, close } with 0 <= open < close <= 24`);
+          continue;
+        }
+        next.businessHours[day] = { open: open.value, close: close.value };
+      }
+    }
+  }
+
+  return { ok: errors.length === 0, errors, settings: next };
+}
+
+export const DEFAULT_CAPACITY = {
+  maxDropoffsPerDay: null,   // null = unlimited
+  maxWaitersPerHour: null,   // null = unlimited
+  blockedHours: [],          // hours (0-23) never bookable, e.g. [12] for lunch
+  dayStartHour: 6,
+  dayEndHour: 22,
+  limitedRatio: 0.75         // share of a limit at which a slot shows "limited"
+};
+
+export function validateCapacity(input) {
+  const errors = [];
+  const next = { ...DEFAULT_CAPACITY };
+  if (!input || typeof input !== "object") {
+    return { ok: false, errors: ["body must be an object"], capacity: null };
+  }
+
+  const readLimit = (key) => {
+    if (!(key in input)) return;
+    const value = input[key];
+    if (value === null) {
+      next[key] = null;
+      return;
+    }
+    const result = readStrictInteger(value, key, 0, Infinity);
+    if (result.error) errors.push(`${key} must be a non-negative integer or null`);
+    else next[key] = result.value;
+  };
+
+  const readHour = (key, max) => {
+    if (!(key in input)) return;
+    const result = readStrictInteger(input[key], key, 0, max);
+    if (result.error) errors.push(result.error);
+    else next[key] = result.value;
+  };
+
+  readLimit("maxDropoffsPerDay");
+  readLimit("maxWaitersPerHour");
+  readHour("dayStartHour", 23);
+  readHour("dayEndHour", 24);
+
+  if ("blockedHours" in input) {
+    const hours = Array.isArray(input.blockedHours)
+      ? input.blockedHours.map((hour) => readStrictInteger(hour, "blockedHours", 0, 23))
+      : null;
+    if (!hours || hours.some((hour) => hour.error)) {
+      errors.push("blockedHours must be an array of hours between 0 and 23");
+    } else {
+      next.blockedHours = [...new Set(hours.map((hour) => hour.value))].sort((a, b) => a - b);
+    }
+  }
+
+  if ("limitedRatio" in input) {
+    const ratio = rules.number({ required: true, strict: true })(input.limitedRatio, "limitedRatio");
+    if (!ratio.error && ratio.value > 0 && ratio.value <= 1) {
+      next.limitedRatio = ratio.value;
+    } else {
+      errors.push("limitedRatio must be a number greater than 0 and at most 1");
+    }
+  }
+
+  if (next.dayStartHour >= next.dayEndHour) {
+    errors.push("dayStartHour must be before dayEndHour");
+  }
+
+  return { ok: errors.length === 0, errors, capacity: next };
+}
+
+/**
+ * Per-shop settings and capacity, persisted in the "settings" and
+ * "capacity" stores. Shops without a saved record get the defaults.
+ */
+export function createShopSettingsStore({ store }) {
+  async function getSettings(shopId) {
+    const all = await store.read("settings");
+    const stored = all[String(shopId)];
+
+    return {
+      isDefault: !stored,
+      settings: {
+        ...DEFAULT_SHOP_SETTINGS,
+        ...(stored || {}),
+        businessHours: { ...DEFAULT_SHOP_SETTINGS.businessHours, ...(stored?.businessHours || {}) }
+      }
+    };
+  }
+
+  async function saveSettings(shopId, settings) {
+    const all = await store.read("settings");
+    await store.write("settings", { ...all, [String(shopId)]: settings });
+  }
+
+  async function getCapacity(shopId) {
+    const all = await store.read("capacity");
+    return { ...DEFAULT_CAPACITY, ...(all[String(shopId)] || {}) };
+  }
+
+  async function saveCapacity(shopId, capacity) {
+    const all = await store.read("capacity");
+    await store.write("capacity", { ...all, [String(shopId)]: capacity });
+  }
+
+  return { getSettings, saveSettings, getCapacity, saveCapacity };
+}
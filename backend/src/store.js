@@ -0,0 +1,91 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { log } from "./logging.js";
+
+/**
+ * JSON files under `dataDir`, one per store name. On Cloud Run, point
+ * DATA_DIR at a mounted volume; the container filesystem does not survive
+ * revisions.
+ *
+ * Reads are served from memory while the file is unchanged (same mtime and
+ * size), so another process's write is picked up on the next read. Writes
+ * replace the whole document, though: two instances changing the same store
+ * at once lose one change. Run a single instance against a DATA_DIR
+ * (cloudbuild.yaml deploys with --max-instances 1).
+ */
+export function createJsonStore({ dataDir }) {
+  const storeCache = new Map(); // name -> { data, version }
+  const storeWrites = new Map();
+
+  const getFile = (name) => path.join(dataDir, `${name}.json`);
+
+  async function getVersion(file) {
+    try {
+      const stat = await fs.stat(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function read(name) {
+    const cached = storeCache.get(name);
+    // Our own write is newer than anything on disk until it lands
+    if (cached && storeWrites.has(name)) return cached.data;
+
+    const file = getFile(name);
+    let data = {};
+    let version = null;
+    try {
+      version = await getVersion(file);
+      if (cached && cached.version === version) return cached.data;
+
+      if (version != null) {
+        const parsed = JSON.parse(await fs.readFile(file, "utf8"));
+        if (parsed && typeof parsed === "object") data = parsed;
+      }
+    } catch (err) {
+      log.warn("readJsonStore failed", { store: name, err });
+      if (cached) return cached.data;
+    }
+
+    storeCache.set(name, { data, version });
+    return data;
+  }
+
+  async function write(name, data) {
+    const file = getFile(name);
+    // Unique per write: instances sharing a volume all run as pid 1
+    const tmp = `${file}.${randomUUID()}.tmp`;
+
+    // Readers see the new data immediately; file writes are serialized per store.
+    const entry = { data, version: null };
+    storeCache.set(name, entry);
+
+    const previous = storeWrites.get(name) || Promise.resolve();
+    const pending = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+        await fs.rename(tmp, file);
+        entry.version = await getVersion(file);
+      });
+
+    storeWrites.set(name, pending);
+    try {
+      await pending;
+    } finally {
+      if (storeWrites.get(name) === pending) storeWrites.delete(name);
+    }
+  }
+
+  // Resolves once every write started so far has reached disk (or failed)
+  async function flush() {
+    await Promise.allSettled([...storeWrites.values()]);
+  }
+
+  return { read, write, flush };
+}
@@ -0,0 +1,47 @@
+/**
+ * Cache stores expose async get/set/delete/clear so a Redis-compatible
+ * store can replace the in-memory one; cached values are plain JSON.
+ */
+export function createMemoryCacheStore({ maxEntries }) {
+  const entries = new Map(); // Map order doubles as recency order
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear() {
+      entries.clear();
+    },
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * The extension sends Cache-Control: no-cache (or ?fresh=1) right after an
+ * advisor edits a record in Tekmetric.
+ */
+export function wantsFreshData(req) {
+  const cacheControl = String(req.get("Cache-Control") || "").toLowerCase();
+  const fresh = String(req.query.fresh || "").toLowerCase();
+  return cacheControl.includes("no-cache") || fresh === "1" || fresh === "true";
+}
@@ -0,0 +1,483 @@
+import { log, registerSecret, requestContext } from "../logging.js";
+import { createMetricsRegistry } from "../metrics.js";
+import { createMemoryCacheStore } from "./cache.js";
+import { createCredentialRegistry, loadTekmetricCredentials } from "./credentials.js";
+import { createRequestScheduler, getRequestShopId, getRequestShopKey } from "./scheduler.js";
+
+/**
+ * A failed Tekmetric call. `status` is Tekmetric's HTTP status, or null when
+ * no response arrived (`timedOut` tells a timeout from a network error).
+ * `auth` marks OAuth token failures, which are our credentials' problem
+ * rather than the shop's. sendRouteError() maps these to 404/403/409/502/504.
+ */
+export class TekmetricError extends Error {
+  constructor(message, { method, path, status = null, timedOut = false, auth = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "TekmetricError";
+    this.code = "UPSTREAM_ERROR";
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.timedOut = timedOut;
+    this.auth = auth;
+  }
+}
+
+export function createTekmetricError(method, path, status, text, { cause, timedOut = false, auth = false } = {}) {
+  const detail = status == null ? "" : ` (${status})`;
+  return new TekmetricError(`Tekmetric ${method} failed${detail} [${path}]: ${text}`, {
+    method,
+    path,
+    status,
+    timedOut,
+    auth,
+    cause
+  });
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date; returns ms or null.
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// A write that reached Tekmetric may have been applied: a retried POST books
+// twice and a retried DELETE answers 404. Only GET and PUT are safe to replay.
+function isReplaySafe(method) {
+  return method === "GET" || method === "PUT";
+}
+
+function isRetryableStatus(status, method) {
+  if (status === 429) return true;
+  if (!isReplaySafe(method)) return false;
+  return status === 500 || status === 502 || status === 503 || status === 504;
+}
+
+// Collapse ids so each Tekmetric endpoint is one series (/customers/:id)
+export function getMetricsPath(path) {
+  return path.split("?")[0].replace(/\/\d+(?=\/|$)/g, "/:id");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Config field -> the environment variable that sets it (after config.envVarPrefix),
+// for NOT_CONFIGURED errors
+const REQUIRED_CONFIG = {
+  clientId: "CLIENT_ID",
+  clientSecret: "CLIENT_SECRET",
+  baseUrl: "BASE_URL"
+};
+
+function createNotConfiguredError(message) {
+  const error = new Error(message);
+  error.code = "NOT_CONFIGURED";
+  return error;
+}
+
+/**
+ * The Tekmetric API client: OAuth token cache per credential, shared request
+ * scheduler, retries and the response cache. Each call runs with the
+ * credential that owns its shop (see credentials.js). `config` is
+ * loadConfig().tekmetric; `metrics` is the app's registry (a private one when
+ * omitted). Tests and tools inject their own `fetch` or replace the whole
+ * client.
+ */
+export function createTekmetricClient({
+  config,
+  metrics = createMetricsRegistry(),
+  fetch = globalThis.fetch,
+  cacheStore = createMemoryCacheStore({ maxEntries: config.cacheMaxEntries })
+}) {
+  registerSecret(config.clientSecret);
+  const credentials = createCredentialRegistry(loadTekmetricCredentials(config));
+
+  const requestsTotal = metrics.createCounter(
+    "tekmetric_requests_total",
+    "Tekmetric API attempts, by path and status (status=\"error\" for network errors and timeouts).",
+    ["method", "path", "status"]
+  );
+  const requestDuration = metrics.createHistogram(
+    "tekmetric_request_duration_seconds",
+    "Tekmetric API attempt latency, by path.",
+    ["method", "path"]
+  );
+  const retriesTotal = metrics.createCounter(
+    "tekmetric_retries_total",
+    "Tekmetric API attempts retried after 429/5xx/network errors.",
+    ["method", "path"]
+  );
+  const tokenRefreshesTotal = metrics.createCounter(
+    "tekmetric_token_refreshes_total",
+    "OAuth access tokens obtained from Tekmetric."
+  );
+
+  // Counters reported on /healthz
+  const requestStats = {
+    requests: 0,
+    retries: 0,
+    failures: 0,
+    timeouts: 0,
+    tokenRefreshes: 0,
+    unauthorizedRetries: 0
+  };
+  const cacheStats = { hits: 0, misses: 0, bypasses: 0, errors: 0 };
+
+  const scheduler = createRequestScheduler({
+    concurrency: config.maxConcurrency,
+    ratePerSec: config.shopRatePerSec,
+    burst: config.shopBurst
+  });
+
+  function getFetch() {
+    if (typeof fetch !== "function") {
+      throw new Error("Fetch API not available. Use Node 18+.");
+    }
+    return fetch;
+  }
+
+  // TEKMETRIC_CLIENT_ID/SECRET are only required without a credentials file or directory
+  function getMissingConfig() {
+    const prefix = config.envVarPrefix ?? "TEKMETRIC_";
+    return Object.entries(REQUIRED_CONFIG)
+      .filter(([field]) => field === "baseUrl" || credentials.list().length === 0)
+      .filter(([field]) => !config[field])
+      .map(([, envVar]) => `${prefix}${envVar}`);
+  }
+
+  /**
+   * The credential for a call: an explicit `credentialId`, else the one that
+   * owns `shopId`. Throws NOT_CONFIGURED (503) when nothing matches.
+   */
+  function resolveCredential({ shopId = null, credentialId } = {}) {
+    const credential = credentialId != null ? credentials.get(credentialId) : credentials.forShop(shopId);
+    if (credential) return credential;
+
+    throw createNotConfiguredError(
+      credentialId != null
+        ? `Unknown Tekmetric credential: ${credentialId}`
+        : `No Tekmetric credentials for shop ${shopId}`
+    );
+  }
+
+  // Ids of the credentials that can see any of `shopIds` ("*" for all)
+  function getCredentialIds(shopIds = ["*"]) {
+    return credentials.forShops(shopIds.map(String)).map((credential) => credential.id);
+  }
+
+  /* ----- OAuth token handling ----- */
+
+  // credential id -> { token, expiresAt, request } (request: in-flight fetch shared by concurrent callers)
+  const tokens = new Map();
+
+  function getTokenState(credential) {
+    if (!tokens.has(credential.id)) {
+      tokens.set(credential.id, { token: null, expiresAt: 0, request: null });
+    }
+    return tokens.get(credential.id);
+  }
+
+  async function fetchAccessToken(credential) {
+    const now = Date.now();
+    const auth = Buffer.from(`${credential.clientId}:${credential.clientSecret}`).toString("base64");
+
+    let response;
+    try {
+      response = await getFetch()(`${config.baseUrl}/api/v1/oauth/token`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${auth}`,
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: "grant_type=client_credentials",
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+    } catch (err) {
+      const timedOut = err?.name === "TimeoutError";
+      const reason = timedOut ? "timed out" : err?.message || "network error";
+      throw createTekmetricError("POST", "/api/v1/oauth/token", null, reason, {
+        cause: err,
+        timedOut,
+        auth: true
+      });
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new TekmetricError(`Tekmetric auth failed (${response.status}): ${text}`, {
+        method: "POST",
+        path: "/api/v1/oauth/token",
+        status: response.status,
+        auth: true
+      });
+    }
+
+    const data = await response.json();
+    registerSecret(data.access_token, { rotating: true });
+    requestStats.tokenRefreshes += 1;
+    tokenRefreshesTotal.inc();
+
+    const expiresInMs = Number.isFinite(Number(data.expires_in))
+      ? Number(data.expires_in) * 1000
+      : 55 * 60 * 1000;
+
+    const state = getTokenState(credential);
+    state.token = data.access_token;
+    state.expiresAt = now + Math.max(60 * 1000, expiresInMs - 60 * 1000);
+    return state.token;
+  }
+
+  /**
+   * A valid token for the credential that owns `shopId` (or `credentialId`),
+   * fetched once and shared until shortly before it expires.
+   */
+  async function getAccessToken(options = {}) {
+    const missing = getMissingConfig();
+    if (missing.length > 0) {
+      throw createNotConfiguredError(`Tekmetric environment variables not configured: ${missing.join(", ")}`);
+    }
+
+    const credential = resolveCredential(options);
+    const state = getTokenState(credential);
+
+    if (state.token && Date.now() < state.expiresAt) {
+      return state.token;
+    }
+
+    if (!state.request) {
+      state.request = fetchAccessToken(credential).finally(() => {
+        state.request = null;
+      });
+    }
+    return state.request;
+  }
+
+  function getTokenExpiresAt(options = {}) {
+    const credential = credentials.list().length > 0 ? resolveCredential(options) : null;
+    return credential ? getTokenState(credential).expiresAt : 0;
+  }
+
+  /**
+   * Drop a token Tekmetric rejected. Only clears the cache if it still holds
+   * that token, so a stale caller cannot evict a freshly issued one.
+   */
+  function invalidateAccessToken(credential, token) {
+    const state = getTokenState(credential);
+    if (state.token && state.token === token) {
+      state.token = null;
+      state.expiresAt = 0;
+    }
+  }
+
+  /* ----- Requests ----- */
+
+  // Full jitter: a random delay up to the exponential cap for this attempt
+  function getBackoffDelay(attempt) {
+    const cap = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+  }
+
+  /**
+   * Call the Tekmetric API. Retries 429/5xx and network errors with jittered
+   * exponential backoff (honoring Retry-After), refreshes the token once on
+   * 401, and aborts each attempt after config.timeoutMs. Every attempt goes
+   * through the shared scheduler; backoff waits do not hold a slot. The
+   * credential comes from `credentialId`, else the shop (`shopId` or ?shop=).
+   */
+  async function request(method, path, body, { shopId, credentialId, maxRetries = config.maxRetries } = {}) {
+    const fetchImpl = getFetch();
+    const shopKey = getRequestShopKey(path, shopId);
+    const metricLabels = { method, path: getMetricsPath(path) };
+    const context = requestContext.getStore();
+
+    const tokenOptions = { shopId: getRequestShopId(path, shopId), credentialId };
+    let currentToken = await getAccessToken(tokenOptions);
+    const credential = resolveCredential(tokenOptions);
+    // path without the query, which may hold search text
+    const upstream = { method, path: path.split("?")[0], credentialId: credential.id };
+    let refreshedToken = false;
+
+    for (let attempt = 0; ; attempt += 1) {
+      requestStats.requests += 1;
+      if (context) context.upstreamCalls += 1;
+      const startedAt = Date.now();
+
+      let response;
+      try {
+        const attemptToken = currentToken;
+        response = await scheduler.run(shopKey, () =>
+          fetchImpl(`${config.baseUrl}${path}`, {
+            method,
+            headers: {
+              Authorization: `Bearer ${attemptToken}`,
+              "Content-Type": "application/json"
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(config.timeoutMs)
+          })
+        );
+      } catch (err) {
+        const timedOut = err?.name === "TimeoutError";
+        if (timedOut) requestStats.timeouts += 1;
+        requestsTotal.inc({ ...metricLabels, status: "error" });
+        requestDuration.observe(metricLabels, (Date.now() - startedAt) / 1000);
+        const reason = timedOut ? "timeout" : err?.message || "network error";
+
+        // Same rule as 5xx: a write that timed out may still have been applied
+        if (!isReplaySafe(method) || attempt >= maxRetries) {
+          requestStats.failures += 1;
+          if (context) context.upstreamErrors += 1;
+          log.warn("Tekmetric request failed", {
+            upstream: { ...upstream, status: null, latencyMs: Date.now() - startedAt, attempt, reason }
+          });
+          throw createTekmetricError(
+            method,
+            path,
+            null,
+            timedOut ? `timed out after ${config.timeoutMs}ms` : reason,
+            { cause: err, timedOut }
+          );
+        }
+
+        const delay = getBackoffDelay(attempt);
+        requestStats.retries += 1;
+        retriesTotal.inc(metricLabels);
+        log.warn("Tekmetric request retry", {
+          upstream: { ...upstream, status: null, latencyMs: Date.now() - startedAt, attempt, reason },
+          retry: attempt + 1,
+          maxRetries,
+          delayMs: delay
+        });
+        await sleep(delay);
+        continue;
+      }
+
+      const attemptLog = {
+        ...upstream,
+        status: response.status,
+        latencyMs: Date.now() - startedAt,
+        attempt
+      };
+      log.debug("Tekmetric request", { upstream: attemptLog });
+      requestsTotal.inc({ ...metricLabels, status: response.status });
+      requestDuration.observe(metricLabels, attemptLog.latencyMs / 1000);
+
+      if (response.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        requestStats.unauthorizedRetries += 1;
+        log.warn("Tekmetric returned 401; refreshing access token", { upstream: attemptLog });
+        invalidateAccessToken(credential, currentToken);
+        currentToken = await getAccessToken({ credentialId: credential.id });
+        attempt -= 1; // the refresh retry does not count against the backoff budget
+        continue;
+      }
+
+      if (!response.ok) {
+        const text = await response.text();
+
+        if (isRetryableStatus(response.status, method) && attempt < maxRetries) {
+          const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+          // Tekmetric asked for a longer pause than we are willing to hold a request open
+          if (retryAfter == null || retryAfter <= config.retryMaxMs) {
+            const delay = retryAfter ?? getBackoffDelay(attempt);
+            requestStats.retries += 1;
+            retriesTotal.inc(metricLabels);
+            log.warn("Tekmetric request retry", {
+              upstream: attemptLog,
+              retry: attempt + 1,
+              maxRetries,
+              delayMs: delay
+            });
+            await sleep(delay);
+            continue;
+          }
+        }
+
+        requestStats.failures += 1;
+        if (context) context.upstreamErrors += 1;
+        log.warn("Tekmetric request failed", { upstream: attemptLog });
+        // A 401 with a freshly issued token: our client credentials are bad
+        throw createTekmetricError(method, path, response.status, text, { auth: response.status === 401 });
+      }
+
+      if (attempt > 0) {
+        log.info("Tekmetric request succeeded after retries", { upstream: attemptLog, retries: attempt });
+      }
+
+      // DELETE (and some PATCH) responses can be empty
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    }
+  }
+
+  function get(path, options) {
+    return request("GET", path, undefined, options);
+  }
+
+  /* ----- Response cache ----- */
+
+  const cacheInFlight = new Map();
+
+  /**
+   * get() through the response cache. A bypass skips the read but still
+   * stores the fresh result; concurrent misses share one upstream call.
+   * Entries are per credential, so one group never reads another's data.
+   */
+  async function cachedGet(path, { ttlMs, shopId, credentialId, bypass = false }) {
+    const credential = resolveCredential({ shopId: getRequestShopId(path, shopId), credentialId });
+    const key = `${credential.id}:${config.baseUrl}${path}`;
+
+    if (bypass) {
+      cacheStats.bypasses += 1;
+    } else {
+      try {
+        const cached = await cacheStore.get(key);
+        if (cached !== undefined) {
+          cacheStats.hits += 1;
+          return cached;
+        }
+      } catch (err) {
+        cacheStats.errors += 1;
+        log.warn("Response cache read failed", { path: path.split("?")[0], err });
+      }
+
+      cacheStats.misses += 1;
+      if (cacheInFlight.has(key)) return cacheInFlight.get(key);
+    }
+
+    const pending = get(path, { shopId, credentialId: credential.id }).then(async (data) => {
+      try {
+        await cacheStore.set(key, data, ttlMs);
+      } catch (err) {
+        cacheStats.errors += 1;
+        log.warn("Response cache write failed", { path: path.split("?")[0], err });
+      }
+      return data;
+    });
+
+    cacheInFlight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      if (cacheInFlight.get(key) === pending) cacheInFlight.delete(key);
+    }
+  }
+
+  return {
+    getMissingConfig,
+    getCredentialIds,
+    getAccessToken,
+    getTokenExpiresAt,
+    request,
+    get,
+    cachedGet,
+    stats: () => ({ ...requestStats, credentials: credentials.list().length, scheduler: scheduler.stats() }),
+    cacheStats: () => ({ ...cacheStats, entries: cacheStore.size?.() ?? null })
+  };
+}
@@ -0,0 +1,146 @@
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+import { log, registerSecret } from "../logging.js";
+
+/**
+ * Tekmetric API credentials per ownership group. Each entry is
+ * { id, clientId, clientSecret, shops: ["1234", ...] | ["*"] } and comes from
+ *
+ *   TEKMETRIC_CREDENTIALS_FILE  a mounted JSON file holding an array of entries
+ *   TEKMETRIC_CREDENTIALS_DIR   a secret directory, one JSON entry (or array)
+ *                               per file; the file name is the default id
+ *   TEKMETRIC_CLIENT_ID/SECRET  a single catch-all entry, id "default"
+ *
+ * A shop listed explicitly uses that entry; any other shop falls back to a
+ * "*" entry when there is one.
+ */
+export const DEFAULT_CREDENTIAL_ID = "default";
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    log.warn("Tekmetric credentials file could not be read", { file, err });
+    return null;
+  }
+}
+
+function readCredentialsDir(dir) {
+  let names;
+  try {
+    names = readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    log.warn("TEKMETRIC_CREDENTIALS_DIR could not be read", { dir, err });
+    return [];
+  }
+
+  // Mounted secret volumes keep their bookkeeping in dot entries (..data)
+  return names
+    .filter((entry) => !entry.name.startsWith(".") && !entry.isDirectory())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const parsed = readJsonFile(path.join(dir, entry.name));
+      const fallbackId = entry.name.replace(/\.json$/i, "");
+      if (Array.isArray(parsed)) return parsed;
+      return parsed && typeof parsed === "object" ? [{ id: fallbackId, ...parsed }] : [];
+    });
+}
+
+function normalizeCredential(entry) {
+  const id = entry?.id != null ? String(entry.id).trim() : "";
+  const shops = Array.isArray(entry?.shops) ? entry.shops.map((shop) => String(shop).trim()) : [];
+
+  if (!id || !entry?.clientId || !entry?.clientSecret || shops.length === 0) {
+    log.warn("Ignoring Tekmetric credential without id, clientId, clientSecret and shops", {
+      credentialId: id || null
+    });
+    return null;
+  }
+
+  registerSecret(entry.clientSecret);
+  return { id, clientId: String(entry.clientId), clientSecret: String(entry.clientSecret), shops };
+}
+
+/**
+ * Reads the credential entries named by config.tekmetric. Invalid entries,
+ * duplicate ids and shops already claimed by an earlier entry are dropped
+ * with a warning.
+ */
+export function loadTekmetricCredentials({ clientId, clientSecret, credentialsFile, credentialsDir }) {
+  const entries = [];
+
+  if (credentialsFile) {
+    const parsed = readJsonFile(credentialsFile);
+    if (Array.isArray(parsed)) entries.push(...parsed);
+    else if (parsed) log.warn("TEKMETRIC_CREDENTIALS_FILE must hold a JSON array", { file: credentialsFile });
+  }
+  if (credentialsDir) entries.push(...readCredentialsDir(credentialsDir));
+  if (clientId || clientSecret) {
+    entries.push({ id: DEFAULT_CREDENTIAL_ID, clientId, clientSecret, shops: ["*"] });
+  }
+
+  const credentials = [];
+  const claimedShops = new Map();
+
+  for (const entry of entries) {
+    const credential = normalizeCredential(entry);
+    if (!credential) continue;
+
+    if (credentials.some((existing) => existing.id === credential.id)) {
+      log.warn("Ignoring duplicate Tekmetric credential id", { credentialId: credential.id });
+      continue;
+    }
+
+    credential.shops = credential.shops.filter((shop) => {
+      const owner = claimedShops.get(shop);
+      if (owner) {
+        log.warn("Shop already has Tekmetric credentials", { shop, credentialId: credential.id, owner });
+        return false;
+      }
+      claimedShops.set(shop, credential.id);
+      return true;
+    });
+
+    credentials.push(credential);
+  }
+
+  return credentials;
+}
+
+/**
+ * Looks up the credential that owns a shop. `forShop(null)` (calls with no
+ * shop, e.g. the shop list) uses the "*" entry, or the only entry if there
+ * is just one.
+ */
+export function createCredentialRegistry(credentials) {
+  const byShop = new Map();
+  let fallback = null;
+
+  for (const credential of credentials) {
+    for (const shop of credential.shops) {
+      if (shop === "*") fallback = credential;
+      else byShop.set(shop, credential);
+    }
+  }
+
+  function forShop(shopId) {
+    if (shopId != null && byShop.has(String(shopId))) return byShop.get(String(shopId));
+    if (fallback) return fallback;
+    if (shopId == null && credentials.length === 1) return credentials[0];
+    return null;
+  }
+
+  // Distinct credentials that can see any of `shopIds` ("*" means every shop)
+  function forShops(shopIds) {
+    if (shopIds.includes("*")) return [...credentials];
+    const matched = new Set(shopIds.map(forShop).filter(Boolean));
+    return credentials.filter((credential) => matched.has(credential));
+  }
+
+  return {
+    list: () => credentials,
+    get: (id) => credentials.find((credential) => credential.id === id) ?? null,
+    forShop,
+    forShops
+  };
+}
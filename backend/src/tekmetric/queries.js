@@ -0,0 +1,294 @@
+import { DateTime } from "luxon";
+import { createMetricsRegistry } from "../metrics.js";
+import {
+  getAppointmentsFromResponse,
+  isActiveAppointment,
+  normalizeAppointment
+} from "../helpers/appointments.js";
+import { getRangeBounds, toShopDateTime } from "../helpers/dates.js";
+import { TekmetricError } from "./client.js";
+
+// How far ahead to look for an existing advance appointment.
+const UPCOMING_LOOKAHEAD_MONTHS = 18;
+
+/**
+ * Paginated fetches and lookups the routes share, on top of a Tekmetric
+ * client (createTekmetricClient() or a stand-in with get/cachedGet).
+ */
+export function createTekmetricQueries({
+  tekmetric,
+  getShopTimezone,
+  cacheTtlMs,
+  metrics = createMetricsRegistry()
+}) {
+  const paginationPages = metrics.createHistogram(
+    "tekmetric_pagination_pages",
+    "Pages fetched per call of a paginated fetch helper.",
+    ["helper"],
+    [1, 2, 3, 5, 10, 20, 50]
+  );
+
+  /**
+   * Fetch all jobs for a repair order.
+   * Tekmetric returns jobs under /api/v1/jobs?repairOrderId=X
+   * Response is paginated in a 'content' array.
+   * A failed page throws (TekmetricError) rather than returning a partial list.
+   */
+  async function fetchRoJobs(roId, shopId) {
+    const pageSize = 200;
+    const jobs = [];
+    let page = 0;
+
+    try {
+      while (true) {
+        const params = new URLSearchParams({
+          shop: String(shopId),
+          repairOrderId: String(roId),
+          page: String(page),
+          size: String(pageSize)
+        });
+
+        const payload = await tekmetric.get(`/api/v1/jobs?${params.toString()}`);
+
+        const pageJobs = Array.isArray(payload?.content)
+          ? payload.content
+          : [];
+
+        if (pageJobs.length === 0) break;
+
+        jobs.push(...pageJobs);
+
+        if (payload?.last === true) break;
+        if (pageJobs.length < pageSize) break;
+
+        page += 1;
+      }
+
+      return jobs;
+    } finally {
+      paginationPages.observe({ helper: "fetchRoJobs" }, page + 1);
+    }
+  }
+
+  /**
+   * Every RO for a vehicle; throws on a failed page like fetchRoJobs().
+   */
+  async function fetchVehicleRepairOrders(vehicleId, shopId) {
+    const pageSize = 200;
+    const ros = [];
+    let page = 0;
+
+    try {
+      while (true) {
+        const params = new URLSearchParams({
+          shop: String(shopId),
+          vehicleId: String(vehicleId),
+          page: String(page),
+          size: String(pageSize)
+        });
+
+        const payload = await tekmetric.get(`/api/v1/repair-orders?${params.toString()}`);
+
+        const pageRos = Array.isArray(payload?.content)
+          ? payload.content
+          : [];
+
+        if (pageRos.length === 0) break;
+
+        ros.push(...pageRos);
+
+        if (payload?.last === true) break;
+        if (pageRos.length < pageSize) break;
+
+        page += 1;
+      }
+
+      return ros;
+    } finally {
+      paginationPages.observe({ helper: "fetchVehicleRepairOrders" }, page + 1);
+    }
+  }
+
+  /**
+   * An RO by id. With `shopId` the call uses that shop's credential;
+   * otherwise each credential that can see one of `shopIds` is tried in
+   * turn, since an RO id alone does not say which shop group owns it.
+   */
+  async function fetchRepairOrder(roId, { bypass = false, shopId = null, shopIds = ["*"] } = {}) {
+    const path = `/api/v1/repair-orders/${encodeURIComponent(roId)}`;
+    const options = { ttlMs: cacheTtlMs.repairOrder, bypass };
+
+    if (shopId != null) return tekmetric.cachedGet(path, { ...options, shopId });
+
+    const credentialIds = tekmetric.getCredentialIds?.(shopIds) ?? [];
+    let lastError = null;
+
+    for (const credentialId of credentialIds) {
+      try {
+        return await tekmetric.cachedGet(path, { ...options, credentialId });
+      } catch (err) {
+        // Another group's RO: Tekmetric hides it (404) or refuses it (403)
+        if (!(err instanceof TekmetricError) || (err.status !== 404 && err.status !== 403)) throw err;
+        lastError = err;
+      }
+    }
+
+    if (lastError) throw lastError;
+    return tekmetric.cachedGet(path, options);
+  }
+
+  /**
+   * Customer, vehicle and jobs for an RO, shaped like the /ro/:roId response.
+   */
+  async function buildRepairOrderPayload(ro, { bypass = false } = {}) {
+    const [customer, vehicle, jobs] = await Promise.all([
+      tekmetric.cachedGet(`/api/v1/customers/${encodeURIComponent(ro.customerId)}`, {
+        shopId: ro.shopId,
+        ttlMs: cacheTtlMs.customer,
+        bypass
+      }),
+      tekmetric.cachedGet(`/api/v1/vehicles/${encodeURIComponent(ro.vehicleId)}`, {
+        shopId: ro.shopId,
+        ttlMs: cacheTtlMs.vehicle,
+        bypass
+      }),
+      fetchRoJobs(ro.id, ro.shopId)
+    ]);
+
+    return {
+      roId: ro.id,
+      roNumber: ro.repairOrderNumber,
+      shopId: ro.shopId,
+      timezone: getShopTimezone(ro.shopId),
+      mileage: ro.milesOut ?? null,
+      completedDate: ro.completedDate ?? null,
+      customer,
+      vehicle,
+      jobs // array of job objects with name, status, id, etc.
+    };
+  }
+
+  /**
+   * `filters` are extra Tekmetric query params, e.g. { vehicleId, customerId }.
+   * Throws on a failed page: a partial list would undercount bookings.
+   */
+  async function fetchAppointmentsForRange(shopId, startDate, endDate, filters = {}) {
+    const { startIso, endIso } = getRangeBounds(
+      startDate,
+      endDate,
+      getShopTimezone(shopId)
+    );
+
+    // Tekmetric appointments endpoint is paginated; gather all pages to avoid
+    // undercounting daily totals when first page does not contain all rows.
+    const pageSize = 200;
+    const collected = [];
+    let page = 0;
+
+    try {
+      while (true) {
+        const params = new URLSearchParams({
+          shop: String(shopId),
+          start: startIso,
+          end: endIso,
+          page: String(page),
+          size: String(pageSize)
+        });
+
+        for (const [key, value] of Object.entries(filters)) {
+          if (value != null && value !== "") params.set(key, String(value));
+        }
+
+        const payload = await tekmetric.get(`/api/v1/appointments?${params.toString()}`);
+
+        const list = getAppointmentsFromResponse(payload);
+        if (list.length === 0) break;
+
+        collected.push(...list);
+
+        const isLastPage = payload?.last === true;
+        const totalPages = Number(payload?.totalPages);
+
+        if (isLastPage) break;
+        if (Number.isFinite(totalPages) && page + 1 >= totalPages) break;
+        if (list.length < pageSize) break;
+
+        page += 1;
+      }
+
+      return collected;
+    } finally {
+      paginationPages.observe({ helper: "fetchAppointmentsForRange" }, page + 1);
+    }
+  }
+
+  /**
+   * Active appointments for a vehicle that start after now. With `customerId`
+   * the customer's appointments are fetched too, for bookings made without a
+   * vehicle; the customer's other vehicles are filtered back out.
+   */
+  async function fetchUpcomingVehicleAppointments(shopId, vehicleId, customerId) {
+    const timezone = getShopTimezone(shopId);
+    const now = DateTime.now().setZone(timezone);
+    const startDate = now.toISODate();
+    const endDate = now.plus({ months: UPCOMING_LOOKAHEAD_MONTHS }).toISODate();
+
+    const lists = await Promise.all([
+      fetchAppointmentsForRange(shopId, startDate, endDate, { vehicleId }),
+      customerId != null
+        ? fetchAppointmentsForRange(shopId, startDate, endDate, { customerId })
+        : []
+    ]);
+
+    // An appointment with both ids comes back from both queries
+    const byId = new Map();
+    for (const appt of lists.flat()) {
+      byId.set(String(appt.id), appt);
+    }
+
+    return [...byId.values()]
+      .filter((appt) => {
+        if (!isActiveAppointment(appt)) return false;
+
+        const start = toShopDateTime(appt.startTime ?? appt.startDate, timezone);
+        if (!start || start <= now) return false;
+
+        if (appt.vehicleId != null) return String(appt.vehicleId) === String(vehicleId);
+        return customerId != null && String(appt.customerId) === String(customerId);
+      })
+      .map((appt) => normalizeAppointment(appt, timezone))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  /**
+   * Fetch an appointment and make sure it belongs to shopId, so a caller
+   * cannot edit another shop's appointment by guessing its id.
+   */
+  async function fetchShopAppointment(shopId, appointmentId) {
+    let payload;
+    try {
+      payload = await tekmetric.get(
+        `/api/v1/appointments/${encodeURIComponent(appointmentId)}`,
+        { shopId }
+      );
+    } catch (err) {
+      if (err instanceof TekmetricError && err.status === 404) return null;
+      throw err;
+    }
+    const appt = payload?.data && typeof payload.data === "object" ? payload.data : payload;
+
+    if (!appt || typeof appt !== "object") return null;
+    if (appt.shopId != null && String(appt.shopId) !== String(shopId)) return null;
+    return appt;
+  }
+
+  return {
+    fetchRoJobs,
+    fetchVehicleRepairOrders,
+    fetchRepairOrder,
+    buildRepairOrderPayload,
+    fetchAppointmentsForRange,
+    fetchUpcomingVehicleAppointments,
+    fetchShopAppointment
+  };
+}
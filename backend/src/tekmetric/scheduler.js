@@ -0,0 +1,90 @@
+/**
+ * Runs tasks with at most `concurrency` in flight overall, and starts them
+ * no faster than a per-key token bucket allows (`ratePerSec`, up to `burst`
+ * back to back). Queued tasks for a throttled key do not block other keys.
+ * Buckets that have refilled are dropped, so idle shops do not accumulate.
+ */
+export function createRequestScheduler({ concurrency, ratePerSec, burst }) {
+  const queue = [];
+  const buckets = new Map();
+  let active = 0;
+  let timer = null;
+
+  // A full bucket behaves exactly like a missing one
+  function evictFullBuckets(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + ((now - bucket.updatedAt) * ratePerSec) / 1000 >= burst) buckets.delete(key);
+    }
+  }
+
+  function takeToken(key, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) * ratePerSec) / 1000);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) * 1000) / ratePerSec);
+  }
+
+  function pump() {
+    let nextWait = Infinity;
+
+    for (let i = 0; i < queue.length && active < concurrency; ) {
+      const wait = takeToken(queue[i].key, Date.now());
+      if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        i += 1;
+        continue;
+      }
+
+      const [item] = queue.splice(i, 1);
+      active += 1;
+      Promise.resolve()
+        .then(item.task)
+        .then(item.resolve, item.reject)
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+
+    if (queue.length > 0 && active < concurrency && nextWait !== Infinity && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        pump();
+      }, nextWait);
+    }
+  }
+
+  return {
+    run(key, task) {
+      return new Promise((resolve, reject) => {
+        evictFullBuckets(Date.now());
+        queue.push({ key: String(key), task, resolve, reject });
+        pump();
+      });
+    },
+    stats() {
+      return { active, queued: queue.length, buckets: buckets.size, concurrency, ratePerSec, burst };
+    }
+  };
+}
+
+// List endpoints carry the shop in ?shop=; lookups by id pass it explicitly
+export function getRequestShopId(path, shopId) {
+  if (shopId != null) return String(shopId);
+  const query = path.split("?")[1];
+  return (query && new URLSearchParams(query).get("shop")) || null;
+}
+
+export function getRequestShopKey(path, shopId) {
+  return getRequestShopId(path, shopId) ?? "global";
+}
@@ -0,0 +1,143 @@
+import { DateTime } from "luxon";
+import { sendValidationError } from "./errors.js";
+import { parseAppointmentTypeParam } from "./helpers/appointments.js";
+import { TEKMETRIC_COLORS } from "./shopSettings.js";
+
+/**
+ * Field rules for validateRequest(). Each rule takes (raw, key) and returns
+ * { value } or { error }. Missing values (undefined, null, "") pass as
+ * `default` (null unless given) unless the rule is `required`. `integer` and
+ * `number` take numeric strings too, unless `strict` (JSON bodies).
+ */
+export function defineRule(check) {
+  return (options = {}) =>
+    (raw, key) => {
+      if (raw == null || raw === "") {
+        if (options.required) return { error: `${key} is required` };
+        return { value: options.default ?? null };
+      }
+      return check(raw, key, options);
+    };
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Offset optional: times without one are read in the shop's timezone
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+export const rules = {
+  // Tekmetric ids are numeric; keeps the caller's type (JSON number or string)
+  id: defineRule((raw, key) => {
+    const text = String(raw).trim();
+    if (!/^\d{1,18}$/.test(text)) return { error: `${key} must be a numeric id` };
+    return { value: typeof raw === "number" ? raw : text };
+  }),
+
+  integer: defineRule((raw, key, { min = -Infinity, max = Infinity, strict = false }) => {
+    const value = typeof raw === "string" && !strict ? Number(raw.trim()) : raw;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range = Number.isFinite(max) ? ` between ${min} and ${max}` : Number.isFinite(min) ? ` >= ${min}` : "";
+      return { error: `${key} must be an integer${range}` };
+    }
+    return { value };
+  }),
+
+  number: defineRule((raw, key, { min = -Infinity, strict = false }) => {
+    const value = typeof raw === "string" && !strict ? Number(raw.trim()) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min) {
+      return { error: `${key} must be a number${Number.isFinite(min) ? ` >= ${min}` : ""}` };
+    }
+    return { value };
+  }),
+
+  string: defineRule((raw, key, { maxLength = 1000 }) => {
+    if (typeof raw !== "string") return { error: `${key} must be a string` };
+    if (raw.length > maxLength) return { error: `${key} must be at most ${maxLength} characters` };
+    return { value: raw };
+  }),
+
+  boolean: defineRule((raw, key) => {
+    if (typeof raw === "boolean") return { value: raw };
+    const text = String(raw).trim().toLowerCase();
+    if (["1", "true", "yes"].includes(text)) return { value: true };
+    if (["0", "false", "no"].includes(text)) return { value: false };
+    return { error: `${key} must be true or false` };
+  }),
+
+  oneOf: defineRule((raw, key, { values }) => {
+    const text = String(raw).trim().toLowerCase();
+    if (!values.includes(text)) return { error: `${key} must be one of: ${values.join(", ")}` };
+    return { value: text };
+  }),
+
+  // dropoff | wait (aliases: drop-off, drop, waiter, stay)
+  appointmentType: defineRule((raw, key) => {
+    const value = parseAppointmentTypeParam(raw);
+    if (!value) return { error: `${key} must be one of: dropoff, wait, waiter` };
+    return { value };
+  }),
+
+  color: defineRule((raw, key) => {
+    const text = String(raw).trim().toLowerCase();
+    if (!TEKMETRIC_COLORS.includes(text)) {
+      return { error: `${key} must be one of: ${TEKMETRIC_COLORS.join(", ")}` };
+    }
+    return { value: text };
+  }),
+
+  date: defineRule((raw, key) => {
+    const text = String(raw).trim();
+    if (!ISO_DATE_PATTERN.test(text) || !DateTime.fromISO(text).isValid) {
+      return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+    return { value: text };
+  }),
+
+  dateTime: defineRule((raw, key) => {
+    const text = typeof raw === "string" ? raw.trim() : "";
+    if (!ISO_DATE_TIME_PATTERN.test(text) || !DateTime.fromISO(text, { setZone: true }).isValid) {
+      return { error: `${key} must be an ISO date-time (e.g. 2026-10-20T08:00:00)` };
+    }
+    return { value: text };
+  }),
+
+  // Comma-separated list, trimmed and upper-cased (Tekmetric enum values)
+  upperList: defineRule((raw, key) => {
+    if (typeof raw !== "string") return { error: `${key} must be a comma-separated list` };
+    return { value: raw.split(",").map((item) => item.trim().toUpperCase()).filter(Boolean) };
+  })
+};
+
+/**
+ * Middleware: checks req.params / req.query / req.body against the field
+ * rules in `schema` and exposes the parsed values as req.valid.{params,
+ * query, body}. Unknown fields are ignored. Responds 400 VALIDATION_ERROR
+ * listing every failing field.
+ */
+export function validateRequest(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const valid = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schema[part]) continue;
+
+      const source = req[part] ?? {};
+      if (typeof source !== "object" || Array.isArray(source)) {
+        errors.push(`${part} must be an object`);
+        continue;
+      }
+
+      valid[part] = {};
+      for (const [key, rule] of Object.entries(schema[part])) {
+        const result = rule(source[key], key);
+        if (result.error) errors.push(result.error);
+        else valid[part][key] = result.value;
+      }
+    }
+
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    req.valid = valid;
+    return next();
+  };
+}
@@ -0,0 +1,12 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const GENERATOR = fileURLToPath(new URL("../scripts/generate-client.js", import.meta.url));
+
+test("the extension's API client matches openapi.json", () => {
+  const result = spawnSync(process.execPath, [GENERATOR, "--check"], { encoding: "utf8", timeout: 10000 });
+
+  assert.equal(result.status, 0, result.stderr);
+});
@@ -0,0 +1,121 @@
+/**
+ * createApp() embedded in-process with a stand-in Tekmetric client, the way
+ * tools and tests use the service without a network or a mock server.
+ */
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { createApp } from "../src/app.js";
+import { loadConfig } from "../src/config.js";
+import { setLogLevel } from "../src/logging.js";
+import { TekmetricError } from "../src/tekmetric/client.js";
+import { API_KEY, SHOP_ID, TIMEZONE } from "./helpers.js";
+
+setLogLevel("error");
+
+// Answers GETs from a path -> body map; anything else is a Tekmetric 404
+function createFakeTekmetric(responses, { missing = [] } = {}) {
+  const requests = [];
+
+  async function get(path) {
+    requests.push(path);
+    const key = path.split("?")[0];
+    if (!(key in responses)) {
+      throw new TekmetricError("not found", { method: "GET", path, status: 404 });
+    }
+    return responses[key];
+  }
+
+  return {
+    requests,
+    getMissingConfig: () => missing,
+    getAccessToken: async () => "fake-token",
+    getTokenExpiresAt: () => 0,
+    get,
+    cachedGet: (path) => get(path),
+    request: async (method, path) => {
+      throw new Error(`unexpected ${method} ${path}`);
+    },
+    stats: () => ({}),
+    cacheStats: () => ({})
+  };
+}
+
+const config = loadConfig({
+  SHOP_TIMEZONE: TIMEZONE,
+  API_KEYS: JSON.stringify([{ id: "test", key: API_KEY, shops: [String(SHOP_ID)] }])
+});
+
+async function listen(app) {
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function get(baseUrl, path, headers = {}) {
+  const res = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${API_KEY}`, ...headers } });
+  return { status: res.status, body: await res.json() };
+}
+
+describe("createApp with an injected Tekmetric client", () => {
+  const tekmetric = createFakeTekmetric({
+    "/api/v1/repair-orders/7": { id: 7, repairOrderNumber: 1007, shopId: SHOP_ID, customerId: 10, vehicleId: 20, milesOut: 42000 },
+    "/api/v1/customers/10": { id: 10, firstName: "Pat", lastName: "Lee" },
+    "/api/v1/vehicles/20": { id: 20, year: 2019, make: "Honda", model: "Civic" },
+    "/api/v1/jobs": { content: [{ id: 1, name: "Oil change", authorized: true }], last: true }
+  });
+  let running;
+
+  before(async () => {
+    running = await listen(createApp({ config, tekmetric }));
+  });
+
+  after(() => new Promise((resolve) => running.server.close(resolve)));
+
+  test("serves /ro/:roId from the injected client", async () => {
+    const res = await get(running.baseUrl, "/ro/7");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.roNumber, 1007);
+    assert.equal(res.body.timezone, TIMEZONE);
+    assert.equal(res.body.customer.firstName, "Pat");
+    assert.deepEqual(res.body.jobs.map((job) => job.id), [1]);
+    assert.ok(tekmetric.requests.some((path) => path.startsWith("/api/v1/jobs?")));
+  });
+
+  test("maps the client's TekmetricError to the error envelope", async () => {
+    const res = await get(running.baseUrl, "/ro/8");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+  });
+
+  test("never falls back to production for an unconfigured sandbox", async () => {
+    const res = await get(running.baseUrl, "/ro/7", { "X-Tekmetric-Environment": "sandbox" });
+
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body.missingEnvVars, [
+      "TEKMETRIC_SANDBOX_CLIENT_ID",
+      "TEKMETRIC_SANDBOX_CLIENT_SECRET",
+      "TEKMETRIC_SANDBOX_BASE_URL"
+    ]);
+  });
+});
+
+describe("createApp with an unconfigured client", () => {
+  let running;
+
+  before(async () => {
+    const tekmetric = createFakeTekmetric({}, { missing: ["TEKMETRIC_CLIENT_ID"] });
+    running = await listen(createApp({ config, tekmetric }));
+  });
+
+  after(() => new Promise((resolve) => running.server.close(resolve)));
+
+  test("answers 503 NOT_CONFIGURED with what is missing", async () => {
+    const res = await get(running.baseUrl, "/ro/7");
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, "NOT_CONFIGURED");
+    assert.deepEqual(res.body.missingEnvVars, ["TEKMETRIC_CLIENT_ID"]);
+  });
+});
@@ -0,0 +1,659 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import { DateTime } from "luxon";
+import { createEmptyData } from "./mockTekmetric.js";
+import {
+  makeAppointment,
+  OTHER_SHOP_ID,
+  SHOP_ID,
+  shopDate,
+  shopTime,
+  startBackend,
+  TIMEZONE
+} from "./helpers.js";
+
+const DAY_A = shopDate(10);
+const DAY_B = shopDate(11);
+const BUSY_DAY = shopDate(12);
+
+const STAY = { id: 1, code: "STAY" };
+const DROP = { id: 2, code: "DROP" };
+
+function buildData() {
+  const data = createEmptyData();
+
+  data.appointments.push(
+    makeAppointment(1, { startTime: shopTime(10, 9), endTime: shopTime(10, 10), appointmentOption: DROP }),
+    makeAppointment(2, { startTime: shopTime(10, 9, 30), endTime: shopTime(10, 10), appointmentOption: STAY }),
+    makeAppointment(3, {
+      startTime: shopTime(10, 14),
+      endTime: shopTime(10, 15),
+      appointmentStatus: "CANCELLED"
+    }),
+    makeAppointment(4, { startTime: shopTime(10, 15), endTime: shopTime(10, 16), appointmentOption: null }),
+    makeAppointment(5, {
+      startTime: shopTime(11, 8),
+      endTime: shopTime(11, 9),
+      appointmentOption: STAY,
+      deletedDate: shopTime(0, 8)
+    }),
+    // 23:30 shop time is already the next day in UTC
+    makeAppointment(6, { startTime: shopTime(11, 23, 30), endTime: shopTime(11, 23, 45) }),
+    // Vehicle 30 already has an advance appointment
+    makeAppointment(7, { vehicleId: 30, customerId: 13, startTime: shopTime(40, 8), endTime: shopTime(40, 9) }),
+    // Customer 14 booked without a vehicle, and separately for another vehicle
+    makeAppointment(9, { vehicleId: null, customerId: 14, startTime: shopTime(45, 8), endTime: shopTime(45, 9) }),
+    makeAppointment(10, { vehicleId: 38, customerId: 14, startTime: shopTime(46, 8), endTime: shopTime(46, 9) }),
+    // Another shop's appointment, for ownership checks
+    makeAppointment(8, { shopId: OTHER_SHOP_ID, startTime: shopTime(30, 8), endTime: shopTime(30, 9) }),
+    // Edited and cancelled by the tests below
+    makeAppointment(40, { vehicleId: 40, startTime: shopTime(30, 8), endTime: shopTime(30, 9) }),
+    makeAppointment(41, { vehicleId: 41, startTime: shopTime(31, 8), endTime: shopTime(31, 9) }),
+    makeAppointment(42, { vehicleId: 42, startTime: shopTime(33, 8), endTime: shopTime(33, 9) })
+  );
+
+  // More appointments on one day than fit on a Tekmetric page (200)
+  for (let i = 0; i < 450; i += 1) {
+    data.appointments.push(
+      makeAppointment(1000 + i, {
+        vehicleId: 5000 + i,
+        startTime: shopTime(12, 10),
+        endTime: shopTime(12, 11)
+      })
+    );
+  }
+
+  return data;
+}
+
+// What the backend sends Tekmetric for a shop wall time
+const toUtcIso = (wallTime) => DateTime.fromISO(wallTime, { zone: TIMEZONE }).toUTC().toISO();
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ mockData: buildData() });
+});
+
+afterEach(() => backend.mock.clearFailures());
+
+after(() => backend?.stop());
+
+describe("GET /appointments/counts", () => {
+  test("counts active appointments per shop day", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.timezone, TIMEZONE);
+    assert.deepEqual(res.body.counts, { [DAY_A]: 3, [DAY_B]: 1 });
+  });
+
+  test("splits by type with includeTypes", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A,
+      includeTypes: true
+    });
+
+    assert.deepEqual(res.body.counts, { [DAY_A]: { total: 3, dropoff: 2, wait: 1 } });
+  });
+
+  test("groups by type and shop hour", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B,
+      groupBy: "hour"
+    });
+
+    assert.deepEqual(res.body.counts, {
+      [DAY_A]: { dropoff: { 9: 1, 15: 1 }, wait: { 9: 1 } },
+      [DAY_B]: { dropoff: { 23: 1 }, wait: {} }
+    });
+  });
+
+  test("filters to one appointment type", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B,
+      appointmentType: "waiter"
+    });
+
+    assert.equal(res.body.appointmentType, "wait");
+    assert.deepEqual(res.body.counts, { [DAY_A]: 1, [DAY_B]: 0 });
+  });
+
+  test("reads every page of appointments", async () => {
+    backend.mock.requests.length = 0;
+
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: BUSY_DAY,
+      endDate: BUSY_DAY
+    });
+
+    assert.deepEqual(res.body.counts, { [BUSY_DAY]: 450 });
+    assert.deepEqual(
+      backend.mock.callsTo("GET", "/api/v1/appointments").map((call) => call.query.get("page")),
+      ["0", "1", "2"]
+    );
+  });
+
+  test("rejects an end date before the start date", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_B,
+      endDate: DAY_A
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+
+  test("maps a Tekmetric outage to 502 instead of zero counts", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", status: 503, times: 10 });
+
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B
+    });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+    assert.equal(res.body.upstreamStatus, 503);
+  });
+});
+
+describe("GET /appointments", () => {
+  test("lists active appointments normalized to shop time", async () => {
+    const res = await backend.call("listAppointments", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.appointments.map((appt) => [appt.id, appt.appointmentType, appt.dateKey, appt.hour]),
+      [
+        [1, "dropoff", DAY_A, 9],
+        [2, "wait", DAY_A, 9],
+        [4, null, DAY_A, 15]
+      ]
+    );
+    assert.equal(res.body.count, 3);
+  });
+
+  test("filters by status", async () => {
+    const res = await backend.call("listAppointments", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B,
+      status: "cancelled"
+    });
+
+    assert.deepEqual(res.body.appointments.map((appt) => appt.id), [3]);
+  });
+
+  test("filters by type and never returns deleted appointments", async () => {
+    const res = await backend.call("listAppointments", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B,
+      appointmentType: "wait"
+    });
+
+    assert.deepEqual(res.body.appointments.map((appt) => appt.id), [2]);
+  });
+
+  test("lists appointments without a type option as drop-offs, like the counts", async () => {
+    const res = await backend.call("listAppointments", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A,
+      appointmentType: "dropoff"
+    });
+    const counts = await backend.call("getAppointmentCounts", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A,
+      appointmentType: "dropoff"
+    });
+
+    assert.deepEqual(res.body.appointments.map((appt) => [appt.id, appt.appointmentType]), [
+      [1, "dropoff"],
+      [4, null]
+    ]);
+    assert.equal(res.body.count, counts.body.counts[DAY_A]);
+  });
+
+  test("answers 502 on a Tekmetric outage instead of an empty list", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", status: 503, times: 10 });
+
+    const res = await backend.call("listAppointments", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_B
+    });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+    assert.equal(res.body.count, undefined);
+  });
+});
+
+describe("GET /appointments/upcoming", () => {
+  test("returns a vehicle's future appointments", async () => {
+    const res = await backend.call("listUpcomingAppointments", { shopId: SHOP_ID, vehicleId: 30 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.appointments.map((appt) => appt.id), [7]);
+  });
+
+  test("includes the customer's bookings that have no vehicle", async () => {
+    const res = await backend.call("listUpcomingAppointments", {
+      shopId: SHOP_ID,
+      vehicleId: 37,
+      customerId: 14
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.appointments.map((appt) => appt.id), [9]);
+  });
+
+  test("is empty for a vehicle without appointments", async () => {
+    const res = await backend.call("listUpcomingAppointments", { shopId: SHOP_ID, vehicleId: 31 });
+
+    assert.deepEqual(res.body.appointments, []);
+  });
+
+  test("passes on a Tekmetric 403 instead of an empty list", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", status: 403 });
+
+    const res = await backend.call("listUpcomingAppointments", { shopId: SHOP_ID, vehicleId: 30 });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+  });
+});
+
+describe("GET /availability", () => {
+  // Later bookings should not run into this capacity
+  after(() => backend.call("putShopCapacity", { shopId: SHOP_ID, body: {} }));
+
+  test("combines bookings with the shop's capacity", async () => {
+    const saved = await backend.call("putShopCapacity", {
+      shopId: SHOP_ID,
+      body: { maxWaitersPerHour: 1, maxDropoffsPerDay: 2, blockedHours: [12] }
+    });
+    assert.equal(saved.status, 200);
+
+    const wait = await backend.call("getAvailability", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A,
+      type: "wait"
+    });
+    const waitDay = wait.body.days[DAY_A];
+
+    assert.equal(wait.status, 200);
+    assert.equal(waitDay.hours[9].status, "full");
+    assert.equal(waitDay.hours[10].status, "open");
+    assert.equal(waitDay.hours[12].blocked, true);
+    assert.equal(waitDay.status, "limited");
+
+    const dropoff = await backend.call("getAvailability", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A
+    });
+
+    assert.equal(dropoff.body.type, "dropoff");
+    assert.equal(dropoff.body.days[DAY_A].booked, 2);
+    assert.equal(dropoff.body.days[DAY_A].status, "full");
+  });
+
+  test("fails instead of reporting open slots when Tekmetric times out", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", delayMs: 700, times: 2 });
+
+    const res = await backend.call("getAvailability", {
+      shopId: SHOP_ID,
+      startDate: DAY_A,
+      endDate: DAY_A
+    });
+
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, "UPSTREAM_TIMEOUT");
+    assert.equal(res.body.days, undefined);
+  });
+});
+
+describe("POST /appointments", () => {
+  const day = shopDate(20);
+
+  test("creates a drop-off with drop-off and pickup times", async () => {
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 31,
+        vehicleId: 31,
+        title: "Advance appointment",
+        startTime: `${day}T08:00:00`,
+        endTime: `${day}T09:00:00`,
+        appointmentType: "dropoff",
+        mileage: 48000
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.startTime, toUtcIso(`${day}T08:00:00`));
+
+    const [call] = backend.mock.callsTo("POST", "/api/v1/appointments");
+    assert.deepEqual(call.body, {
+      shopId: SHOP_ID,
+      customerId: 31,
+      vehicleId: 31,
+      title: "Advance appointment",
+      startTime: toUtcIso(`${day}T08:00:00`),
+      endTime: toUtcIso(`${day}T09:00:00`),
+      color: "navy",
+      rideOption: "NONE",
+      status: "NONE",
+      appointmentOption: { id: 2 },
+      dropoffTime: toUtcIso(`${day}T08:00:00`),
+      pickupTime: toUtcIso(`${day}T09:00:00`),
+      mileage: 48000
+    });
+    assert.equal(res.body.appointment.data, backend.mock.data.appointments.at(-1).id);
+  });
+
+  test("creates a waiter without drop-off times", async () => {
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 32,
+        vehicleId: 32,
+        title: "Waiter",
+        startTime: `${day}T10:00:00`,
+        endTime: `${day}T11:00:00`,
+        appointmentType: "waiter",
+        color: "green"
+      }
+    });
+
+    assert.equal(res.status, 200);
+    const [call] = backend.mock.callsTo("POST", "/api/v1/appointments").slice(-1);
+    assert.deepEqual(call.body.appointmentOption, { id: 1 });
+    assert.equal(call.body.color, "green");
+    assert.equal("dropoffTime" in call.body, false);
+  });
+
+  test("refuses a second upcoming appointment for the vehicle", async () => {
+    const body = {
+      shopId: SHOP_ID,
+      customerId: 13,
+      vehicleId: 30,
+      title: "Duplicate",
+      startTime: `${day}T12:00:00`,
+      endTime: `${day}T13:00:00`
+    };
+
+    const res = await backend.call("createAppointment", { body });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "DUPLICATE_APPOINTMENT");
+    assert.deepEqual(res.body.existingAppointments.map((appt) => appt.id), [7]);
+
+    const forced = await backend.call("createAppointment", { body: { ...body, allowDuplicate: true } });
+    assert.equal(forced.status, 200);
+  });
+
+  test("refuses a booking when the customer's only appointment has no vehicle", async () => {
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 14,
+        vehicleId: 37,
+        title: "Duplicate by customer",
+        startTime: `${day}T12:00:00`,
+        endTime: `${day}T13:00:00`
+      }
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "DUPLICATE_APPOINTMENT");
+    assert.deepEqual(res.body.existingAppointments.map((appt) => appt.id), [9]);
+  });
+
+  test("books nothing when the duplicate check cannot reach Tekmetric", async () => {
+    backend.mock.requests.length = 0;
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", status: 503, times: 10 });
+
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 13,
+        vehicleId: 30,
+        title: "Advance appointment",
+        startTime: `${day}T12:00:00`,
+        endTime: `${day}T13:00:00`
+      }
+    });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/appointments").length, 0);
+  });
+
+  test("replays a retried Idempotency-Key instead of booking twice", async () => {
+    const body = {
+      shopId: SHOP_ID,
+      customerId: 33,
+      vehicleId: 33,
+      title: "Retried",
+      startTime: `${day}T14:00:00`,
+      endTime: `${day}T15:00:00`
+    };
+    const before = backend.mock.callsTo("POST", "/api/v1/appointments").length;
+
+    const first = await backend.call("createAppointment", { idempotencyKey: "retry-1", body });
+    const retry = await backend.call("createAppointment", { idempotencyKey: "retry-1", body });
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("idempotency-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/appointments").length, before + 1);
+
+    const reused = await backend.call("createAppointment", {
+      idempotencyKey: "retry-1",
+      body: { ...body, title: "Something else" }
+    });
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  test("rejects invalid fields with every problem listed", async () => {
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 34,
+        vehicleId: "x",
+        title: "Bad",
+        startTime: "tomorrow",
+        endTime: `${day}T09:00:00`,
+        appointmentType: "bike"
+      }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+    assert.equal(res.body.errors.length, 3);
+  });
+
+  test("rejects an end time before the start time", async () => {
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 34,
+        vehicleId: 34,
+        title: "Backwards",
+        startTime: `${day}T09:00:00`,
+        endTime: `${day}T08:00:00`
+      }
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  test("refuses a booking when the shop's capacity is used up", async (t) => {
+    await backend.call("putShopCapacity", { shopId: SHOP_ID, body: { maxDropoffsPerDay: 2 } });
+    t.after(() => backend.call("putShopCapacity", { shopId: SHOP_ID, body: {} }));
+    const before = backend.mock.callsTo("POST", "/api/v1/appointments").length;
+
+    // DAY_A already has two drop-offs (one of them without a type option)
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 36,
+        vehicleId: 36,
+        title: "Over capacity",
+        startTime: `${DAY_A}T11:00:00`,
+        endTime: `${DAY_A}T12:00:00`,
+        appointmentType: "dropoff"
+      }
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "SLOT_FULL");
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/appointments").length, before);
+  });
+
+  test("does not retry a failed create", async () => {
+    backend.mock.fail({ method: "POST", path: "/api/v1/appointments", status: 500, times: 10 });
+    const before = backend.mock.callsTo("POST", "/api/v1/appointments").length;
+
+    const res = await backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 35,
+        vehicleId: 35,
+        title: "Upstream down",
+        startTime: `${day}T16:00:00`,
+        endTime: `${day}T17:00:00`
+      }
+    });
+
+    assert.equal(res.status, 502);
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/appointments").length, before + 1);
+  });
+});
+
+describe("PATCH /appointments/:id", () => {
+  const day = shopDate(32);
+
+  test("moves a drop-off along with its drop-off and pickup times", async () => {
+    const res = await backend.call("updateAppointment", {
+      id: 40,
+      body: { shopId: SHOP_ID, startTime: `${day}T10:00:00`, endTime: `${day}T11:00:00` }
+    });
+
+    assert.equal(res.status, 200);
+    const [call] = backend.mock.callsTo("PATCH", "/api/v1/appointments/40");
+    assert.deepEqual(call.body, {
+      startTime: toUtcIso(`${day}T10:00:00`),
+      endTime: toUtcIso(`${day}T11:00:00`),
+      dropoffTime: toUtcIso(`${day}T10:00:00`),
+      pickupTime: toUtcIso(`${day}T11:00:00`)
+    });
+  });
+
+  test("switching to a waiter clears drop-off times", async () => {
+    const res = await backend.call("updateAppointment", {
+      id: 40,
+      body: { shopId: SHOP_ID, appointmentType: "wait", color: "red" }
+    });
+
+    assert.equal(res.status, 200);
+    const [call] = backend.mock.callsTo("PATCH", "/api/v1/appointments/40").slice(-1);
+    assert.deepEqual(call.body, {
+      color: "red",
+      appointmentOption: { id: 1 },
+      dropoffTime: null,
+      pickupTime: null
+    });
+  });
+
+  test("requires start and end time together", async () => {
+    const res = await backend.call("updateAppointment", {
+      id: 40,
+      body: { shopId: SHOP_ID, startTime: `${day}T10:00:00` }
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  test("answers 404 for another shop's appointment", async () => {
+    const res = await backend.call("updateAppointment", {
+      id: 8,
+      body: { shopId: SHOP_ID, title: "Not mine" }
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+    assert.equal(backend.mock.callsTo("PATCH", "/api/v1/appointments/8").length, 0);
+  });
+
+  test("answers 404 when Tekmetric has no such appointment", async () => {
+    const res = await backend.call("updateAppointment", {
+      id: 999999,
+      body: { shopId: SHOP_ID, title: "Missing" }
+    });
+
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("DELETE /appointments/:id", () => {
+  test("cancels the appointment in Tekmetric", async () => {
+    const res = await backend.call("cancelAppointment", { id: 41, shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.appointmentId, "41");
+    assert.equal(backend.mock.callsTo("DELETE", "/api/v1/appointments/41").length, 1);
+
+    const upcoming = await backend.call("listUpcomingAppointments", { shopId: SHOP_ID, vehicleId: 41 });
+    assert.deepEqual(upcoming.body.appointments, []);
+  });
+
+  test("answers 404 once the appointment is gone", async () => {
+    const res = await backend.call("cancelAppointment", { id: 41, shopId: SHOP_ID });
+
+    assert.equal(res.status, 404);
+  });
+
+  test("does not retry a failed cancel, which may already have been applied", async () => {
+    // Retried after a 5xx, a DELETE that went through would come back 404
+    backend.mock.fail({ method: "DELETE", path: "/api/v1/appointments/42", status: 503, times: 1 });
+
+    const res = await backend.call("cancelAppointment", { id: 42, shopId: SHOP_ID });
+
+    assert.equal(res.status, 502);
+    assert.equal(backend.mock.callsTo("DELETE", "/api/v1/appointments/42").length, 1);
+
+    const again = await backend.call("cancelAppointment", { id: 42, shopId: SHOP_ID });
+    assert.equal(again.status, 200);
+  });
+
+  test("requires shopId", async () => {
+    const res = await backend.request("DELETE", "/appointments/41");
+
+    assert.equal(res.status, 400);
+  });
+});
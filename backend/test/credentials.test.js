@@ -0,0 +1,210 @@
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { setLogLevel } from "../src/logging.js";
+import { createCredentialRegistry, loadTekmetricCredentials } from "../src/tekmetric/credentials.js";
+import { API_KEY, shopDate, startBackend } from "./helpers.js";
+import { createEmptyData } from "./mockTekmetric.js";
+
+setLogLevel("error");
+
+// Two ownership groups, each with its own Tekmetric API client; shop 3 has none
+const NORTH = { clientId: "north-client", clientSecret: "north-secret", shops: ["1"] };
+const SOUTH = { clientId: "south-client", clientSecret: "south-secret", shops: ["2"] };
+
+function buildData() {
+  const data = createEmptyData();
+  data.shops.push({ id: 1, name: "North Auto" }, { id: 2, name: "South Auto" });
+
+  for (const shopId of [1, 2]) {
+    data.customers.push({ id: shopId * 10, shopId, firstName: "Pat", lastName: `Shop${shopId}` });
+    data.vehicles.push({ id: shopId * 10 + 1, shopId, customerId: shopId * 10, year: 2020, make: "Honda", model: "Fit" });
+    data.repairOrders.push({
+      id: shopId * 100,
+      repairOrderNumber: shopId * 1000,
+      shopId,
+      customerId: shopId * 10,
+      vehicleId: shopId * 10 + 1,
+      repairOrderStatus: { id: 2, name: "Work-in-Progress" },
+      milesOut: 40000
+    });
+  }
+
+  return data;
+}
+
+let tempDir;
+
+before(async () => {
+  tempDir = await mkdtemp(path.join(os.tmpdir(), "aa-credentials-test-"));
+});
+
+after(() => rm(tempDir, { recursive: true, force: true }));
+
+describe("loadTekmetricCredentials", () => {
+  test("reads the file, the secret directory, then the legacy pair", async () => {
+    const file = path.join(tempDir, "credentials.json");
+    const dir = path.join(tempDir, "secrets");
+    await mkdir(dir);
+    await writeFile(file, JSON.stringify([{ id: "north", ...NORTH }]));
+    await writeFile(path.join(dir, "south.json"), JSON.stringify(SOUTH));
+    await mkdir(path.join(dir, "..data"));
+
+    const credentials = loadTekmetricCredentials({
+      clientId: "legacy-client",
+      clientSecret: "legacy-secret",
+      credentialsFile: file,
+      credentialsDir: dir
+    });
+
+    assert.deepEqual(
+      credentials.map((credential) => [credential.id, credential.shops]),
+      [
+        ["north", ["1"]],
+        ["south", ["2"]],
+        ["default", ["*"]]
+      ]
+    );
+  });
+
+  test("drops invalid entries, duplicate ids and shops already claimed", async () => {
+    const file = path.join(tempDir, "invalid.json");
+    await writeFile(
+      file,
+      JSON.stringify([
+        { id: "north", ...NORTH },
+        { id: "north", ...SOUTH },
+        { id: "no-secret", clientId: "x", shops: ["4"] },
+        { id: "overlap", clientId: "y", clientSecret: "z", shops: ["1", "5"] }
+      ])
+    );
+
+    const credentials = loadTekmetricCredentials({ credentialsFile: file });
+
+    assert.deepEqual(
+      credentials.map((credential) => [credential.id, credential.shops]),
+      [
+        ["north", ["1"]],
+        ["overlap", ["5"]]
+      ]
+    );
+  });
+});
+
+describe("createCredentialRegistry", () => {
+  const registry = createCredentialRegistry([
+    { id: "north", ...NORTH },
+    { id: "south", ...SOUTH }
+  ]);
+
+  test("finds the credential that owns a shop", () => {
+    assert.equal(registry.forShop(2).id, "south");
+    assert.equal(registry.forShop("3"), null);
+    assert.equal(registry.forShop(null), null);
+  });
+
+  test("falls back to a catch-all entry", () => {
+    const withDefault = createCredentialRegistry([
+      { id: "north", ...NORTH },
+      { id: "default", clientId: "a", clientSecret: "b", shops: ["*"] }
+    ]);
+
+    assert.equal(withDefault.forShop("1").id, "north");
+    assert.equal(withDefault.forShop("3").id, "default");
+  });
+
+  test("lists the credentials a set of shops can use", () => {
+    assert.deepEqual(registry.forShops(["2", "3"]).map((credential) => credential.id), ["south"]);
+    assert.deepEqual(registry.forShops(["*"]).map((credential) => credential.id), ["north", "south"]);
+  });
+});
+
+describe("per-shop Tekmetric credentials", () => {
+  let backend;
+
+  before(async () => {
+    const file = path.join(tempDir, "groups.json");
+    await writeFile(file, JSON.stringify([{ id: "north", ...NORTH }, { id: "south", ...SOUTH }]));
+
+    backend = await startBackend({
+      mockData: buildData(),
+      mockClients: [NORTH, SOUTH],
+      env: {
+        TEKMETRIC_CLIENT_ID: "",
+        TEKMETRIC_CLIENT_SECRET: "",
+        TEKMETRIC_CREDENTIALS_FILE: file,
+        API_KEYS: JSON.stringify([{ id: "test", key: API_KEY, shops: ["1", "2", "3"] }])
+      }
+    });
+  });
+
+  after(() => backend?.stop());
+
+  test("reports itself configured without TEKMETRIC_CLIENT_ID", async () => {
+    const res = await backend.request("GET", "/healthz", { apiKey: null });
+
+    assert.equal(res.body.tekmetricConfigured, true);
+    assert.equal(res.body.tekmetric.credentials, 2);
+  });
+
+  test("calls each shop with its own group's client and token", async () => {
+    backend.mock.requests.length = 0;
+
+    const north = await backend.call("searchRepairOrders", { shopId: 1 });
+    const south = await backend.call("searchRepairOrders", { shopId: 2 });
+
+    assert.deepEqual(north.body.items.map((item) => item.id), [100]);
+    assert.deepEqual(south.body.items.map((item) => item.id), [200]);
+
+    const clientFor = (shop) =>
+      new Set(
+        backend.mock
+          .callsTo("GET", "/api/v1/")
+          .filter((call) => call.query.get("shop") === shop)
+          .map((call) => call.clientId)
+      );
+    assert.deepEqual([...clientFor("1")], ["north-client"]);
+    assert.deepEqual([...clientFor("2")], ["south-client"]);
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/oauth/token").length, 2);
+  });
+
+  test("finds an RO in whichever group owns it", async () => {
+    const res = await backend.call("getRepairOrder", { roId: 200 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.shopId, 2);
+    assert.equal(res.body.customer.lastName, "Shop2");
+  });
+
+  test("uses only the named shop's credentials when shopId is given", async () => {
+    backend.mock.requests.length = 0;
+
+    const res = await backend.call("getRoContext", { roId: 100, shopId: 1 }, { fresh: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ro.roNumber, 1000);
+    assert.deepEqual(
+      [...new Set(backend.mock.requests.map((call) => call.clientId))].filter(Boolean),
+      ["north-client"]
+    );
+  });
+
+  test("answers 404 when no group has the RO", async () => {
+    const res = await backend.call("getRepairOrder", { roId: 999 });
+
+    assert.equal(res.status, 404);
+  });
+
+  test("answers 503 NOT_CONFIGURED for a shop without credentials", async () => {
+    const res = await backend.call("getAppointmentCounts", {
+      shopId: 3,
+      startDate: shopDate(1),
+      endDate: shopDate(1)
+    });
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, "NOT_CONFIGURED");
+  });
+});
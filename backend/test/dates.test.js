@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  buildDateRangeKeys,
+  getRangeBounds,
+  getRecommendedWeek,
+  toDateKey,
+  toHourKey,
+  toShopDateTime
+} from "../src/helpers/dates.js";
+
+const TIMEZONE = "America/Chicago";
+
+describe("toShopDateTime", () => {
+  test("reads times without an offset as shop wall time", () => {
+    const dt = toShopDateTime("2026-10-20T08:00:00", TIMEZONE);
+
+    assert.equal(dt.toUTC().toISO(), "2026-10-20T13:00:00.000Z");
+  });
+
+  test("returns null for blank or invalid input", () => {
+    assert.equal(toShopDateTime("", TIMEZONE), null);
+    assert.equal(toShopDateTime("not a date", TIMEZONE), null);
+    assert.equal(toShopDateTime(null, TIMEZONE), null);
+  });
+});
+
+describe("toDateKey / toHourKey", () => {
+  test("use the shop's calendar, not UTC's", () => {
+    // 02:30 UTC on the 21st is still the evening of the 20th in Chicago
+    assert.equal(toDateKey("2026-10-21T02:30:00Z", TIMEZONE), "2026-10-20");
+    assert.equal(toHourKey("2026-10-21T02:30:00Z", TIMEZONE), "21");
+  });
+});
+
+describe("buildDateRangeKeys", () => {
+  test("lists every day of an inclusive range", () => {
+    assert.deepEqual(buildDateRangeKeys("2026-10-30", "2026-11-02", TIMEZONE), [
+      "2026-10-30",
+      "2026-10-31",
+      "2026-11-01",
+      "2026-11-02"
+    ]);
+  });
+
+  test("is empty when the range is reversed", () => {
+    assert.deepEqual(buildDateRangeKeys("2026-10-21", "2026-10-20", TIMEZONE), []);
+  });
+});
+
+describe("getRangeBounds", () => {
+  test("spans whole shop-local days in UTC", () => {
+    assert.deepEqual(getRangeBounds("2026-10-20", "2026-10-20", TIMEZONE), {
+      startIso: "2026-10-20T05:00:00.000Z",
+      endIso: "2026-10-21T04:59:59.999Z"
+    });
+  });
+
+  test("throws on an invalid date", () => {
+    assert.throws(() => getRangeBounds("2026-13-01", "2026-10-20", TIMEZONE), /Invalid date range/);
+  });
+});
+
+describe("getRecommendedWeek", () => {
+  test("returns Monday through Friday", () => {
+    const { weekStart, weekEnd } = getRecommendedWeek(TIMEZONE, 6);
+
+    assert.equal(toShopDateTime(weekStart, TIMEZONE).weekday, 1);
+    assert.equal(toShopDateTime(weekEnd, TIMEZONE).weekday, 5);
+    assert.equal(buildDateRangeKeys(weekStart, weekEnd, TIMEZONE).length, 5);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { makeAppointment, SHOP_ID, shopDate, shopTime, startBackend } from "./helpers.js";
+import { createEmptyData, createMockTekmetric, MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } from "./mockTekmetric.js";
+
+const SANDBOX = { xTekmetricEnvironment: "sandbox" };
+
+function buildData() {
+  const data = createEmptyData();
+  data.shops.push({ id: SHOP_ID, name: "Test Auto" });
+  data.appointments.push(
+    makeAppointment(70, { vehicleId: 70, startTime: shopTime(20, 8), endTime: shopTime(20, 9) })
+  );
+  return data;
+}
+
+function bookingFor(vehicleId) {
+  const day = shopDate(25);
+  return {
+    shopId: SHOP_ID,
+    customerId: 10,
+    vehicleId,
+    title: "Advance appointment",
+    startTime: `${day}T08:00:00`,
+    endTime: `${day}T09:00:00`,
+    appointmentType: "dropoff"
+  };
+}
+
+let backend;
+let sandbox;
+
+before(async () => {
+  sandbox = createMockTekmetric({ data: createEmptyData() });
+  const sandboxUrl = await sandbox.listen();
+
+  backend = await startBackend({
+    mockData: buildData(),
+    env: {
+      TEKMETRIC_SANDBOX_BASE_URL: sandboxUrl,
+      TEKMETRIC_SANDBOX_CLIENT_ID: MOCK_CLIENT_ID,
+      TEKMETRIC_SANDBOX_CLIENT_SECRET: MOCK_CLIENT_SECRET
+    }
+  });
+});
+
+after(async () => {
+  await backend?.stop();
+  await sandbox?.close();
+});
+
+describe("X-Tekmetric-Environment", () => {
+  test("books sandbox appointments in the sandbox only", async () => {
+    const res = await backend.call("createAppointment", { ...SANDBOX, body: bookingFor(71) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-tekmetric-environment"), "sandbox");
+    assert.equal(sandbox.callsTo("POST", "/api/v1/appointments").length, 1);
+    assert.equal(backend.mock.callsTo("POST", "/api/v1/appointments").length, 0);
+  });
+
+  test("defaults reads to production", async () => {
+    const res = await backend.request("GET", "/appointments/upcoming?shopId=1&vehicleId=70");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-tekmetric-environment"), "production");
+    assert.deepEqual(res.body.appointments.map((appointment) => appointment.id), [70]);
+  });
+
+  test("refuses a change that does not name its environment", async () => {
+    sandbox.requests.length = 0;
+    backend.mock.requests.length = 0;
+
+    const res = await backend.request("POST", "/appointments", { body: bookingFor(72) });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+    assert.equal(sandbox.requests.length, 0);
+    assert.equal(backend.mock.requests.length, 0);
+  });
+
+  test("rejects an unknown environment", async () => {
+    const res = await backend.request("GET", "/appointments/upcoming?shopId=1&vehicleId=70", {
+      headers: { "X-Tekmetric-Environment": "staging" }
+    });
+
+    assert.equal(res.status, 400);
+  });
+
+  test("cannot edit a production appointment from the sandbox", async () => {
+    const res = await backend.call("updateAppointment", {
+      ...SANDBOX,
+      id: 70,
+      body: { shopId: SHOP_ID, title: "Moved in training" }
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(backend.mock.callsTo("PATCH", "/api/v1/appointments").length, 0);
+    assert.equal(backend.mock.data.appointments[0].title, "Appointment 70");
+  });
+
+  test("keeps shop settings per environment", async () => {
+    const saved = await backend.call("putShopSettings", {
+      ...SANDBOX,
+      shopId: SHOP_ID,
+      body: { defaultMonths: 3 }
+    });
+    assert.equal(saved.status, 200);
+
+    const production = await backend.call("getShopSettings", { shopId: SHOP_ID });
+    const sandboxSettings = await backend.call("getShopSettings", { ...SANDBOX, shopId: SHOP_ID });
+
+    assert.equal(production.body.isDefault, true);
+    assert.equal(sandboxSettings.body.settings.defaultMonths, 3);
+  });
+});
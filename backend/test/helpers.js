@@ -0,0 +1,190 @@
+/**
+ * Starts the backend as a child process against a fresh mock Tekmetric and
+ * an empty DATA_DIR, and talks to it through the extension's generated API
+ * client so every call is checked against openapi.json.
+ */
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DateTime } from "luxon";
+import { createMockTekmetric, MOCK_CLIENT_ID, MOCK_CLIENT_SECRET } from "./mockTekmetric.js";
+import { validateRequestBody, validateResponse } from "./openapi.js";
+import "../../extension/src/shared/apiClient.js"; // sets globalThis.AA.api
+
+const BACKEND_ENTRY = fileURLToPath(new URL("../index.js", import.meta.url));
+
+export const SHOP_ID = 1;
+export const OTHER_SHOP_ID = 2;
+export const TIMEZONE = "America/Chicago";
+export const API_KEY = "test-api-key";
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealthy(baseUrl, child, output) {
+  const deadline = Date.now() + 10000;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode != null) {
+      throw new Error(`Backend exited with code ${child.exitCode}:\n${output.join("")}`);
+    }
+    try {
+      const res = await fetch(`${baseUrl}/healthz`);
+      if (res.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Backend did not become healthy:\n${output.join("")}`);
+}
+
+/**
+ * `env` is merged over the test defaults; `mockData` seeds the mock and
+ * `mockClients` replaces its single API client. Call stop() in an after() hook.
+ */
+export async function startBackend({ env = {}, mockData, mockClients } = {}) {
+  const mock = createMockTekmetric({ data: mockData, clients: mockClients });
+  const mockUrl = await mock.listen();
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "aa-backend-test-"));
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [BACKEND_ENTRY], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      LOG_LEVEL: "error",
+      TEKMETRIC_BASE_URL: mockUrl,
+      TEKMETRIC_CLIENT_ID: MOCK_CLIENT_ID,
+      TEKMETRIC_CLIENT_SECRET: MOCK_CLIENT_SECRET,
+      TEKMETRIC_TIMEOUT_MS: "500",
+      TEKMETRIC_MAX_RETRIES: "1",
+      TEKMETRIC_RETRY_BASE_MS: "1",
+      TEKMETRIC_RETRY_MAX_MS: "5",
+      SHOP_TIMEZONE: TIMEZONE,
+      API_KEYS: JSON.stringify([{ id: "test", key: API_KEY, shops: [String(SHOP_ID)], roles: ["manager"] }]),
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  const output = [];
+  child.stdout.on("data", (chunk) => output.push(chunk.toString()));
+  child.stderr.on("data", (chunk) => output.push(chunk.toString()));
+
+  try {
+    await waitForHealthy(baseUrl, child, output);
+  } catch (err) {
+    child.kill();
+    await mock.close();
+    await rm(dataDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  /**
+   * Raw HTTP call; resolves with { status, headers, body } and never throws
+   * on an error status. `apiKey: null` sends no credentials.
+   */
+  async function request(method, urlPath, { body, headers = {}, apiKey = API_KEY } = {}) {
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+    });
+
+    const text = await res.text();
+    let parsed = text;
+    if (res.headers.get("content-type")?.includes("application/json")) parsed = JSON.parse(text);
+
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  // The side panel's transport (cloudRunFetch), minus the Chrome messaging
+  const client = globalThis.AA.api.createClient((urlPath, options) =>
+    request(options.method, urlPath, {
+      body: options.body ?? undefined,
+      headers: {
+        "X-Tekmetric-Environment": "production",
+        ...options.headers,
+        ...(options.fresh ? { "Cache-Control": "no-cache" } : {})
+      }
+    })
+  );
+
+  /**
+   * Calls an operation through the generated client and asserts the response
+   * matches openapi.json. A 2xx also asserts the request body did, so the
+   * spec never rejects what the server accepts.
+   */
+  async function call(operationId, params = {}, options = {}) {
+    const response = await client[operationId](params, options);
+
+    const problems = validateResponse(operationId, response);
+    if (response.status >= 200 && response.status < 300 && params.body !== undefined) {
+      problems.push(...validateRequestBody(operationId, params.body));
+    }
+    assert.deepEqual(problems, [], `${operationId} does not match openapi.json`);
+
+    return response;
+  }
+
+  async function stop() {
+    if (child.exitCode == null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    await mock.close();
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, mock, child, request, call, stop, output };
+}
+
+// Shop-local wall time `days` from today at `hour`, as a UTC ISO string
+export function shopTime(days, hour, minute = 0) {
+  return DateTime.now()
+    .setZone(TIMEZONE)
+    .startOf("day")
+    .plus({ days })
+    .set({ hour, minute })
+    .toUTC()
+    .toISO();
+}
+
+// YYYY-MM-DD in shop time, `days` from today
+export function shopDate(days) {
+  return DateTime.now().setZone(TIMEZONE).plus({ days }).toISODate();
+}
+
+export function makeAppointment(id, fields = {}) {
+  return {
+    id,
+    shopId: SHOP_ID,
+    customerId: 10,
+    vehicleId: 20,
+    title: `Appointment ${id}`,
+    appointmentStatus: "NONE",
+    appointmentOption: { id: 2, code: "DROP" },
+    ...fields
+  };
+}
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { classifyRoJobs, isApprovedJob, isDeclinedJob } from "../src/helpers/jobs.js";
+
+describe("isApprovedJob / isDeclinedJob", () => {
+  test("honor explicit flags", () => {
+    assert.equal(isApprovedJob({ authorized: true }), true);
+    assert.equal(isDeclinedJob({ authorized: false }), true);
+    assert.equal(isDeclinedJob({ declined: true }), true);
+  });
+
+  test("read the status text case-insensitively", () => {
+    assert.equal(isApprovedJob({ authorizationStatus: "approved" }), true);
+    assert.equal(isApprovedJob({ status: "Complete" }), true);
+    assert.equal(isApprovedJob({ status: "DECLINED" }), false);
+    assert.equal(isDeclinedJob({ status: "unauthorized" }), true);
+    assert.equal(isDeclinedJob({ status: "PENDING" }), false);
+  });
+});
+
+describe("classifyRoJobs", () => {
+  test("splits performed and declined jobs and drops duplicates", () => {
+    const { performed, declined } = classifyRoJobs([
+      { id: 1, name: "Oil change", authorized: true },
+      { id: 1, name: "Oil change", authorized: true },
+      { id: 2, name: "Brakes", authorized: false },
+      { id: 3, name: "Wipers", status: "PENDING" },
+      null
+    ]);
+
+    assert.deepEqual(performed.map((job) => job.id), [1]);
+    assert.deepEqual(declined.map((job) => job.id), [2]);
+  });
+
+  test("treats a non-array as no jobs", () => {
+    assert.deepEqual(classifyRoJobs(undefined), { performed: [], declined: [] });
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import { createShutdown } from "../src/lifecycle.js";
+import { setLogLevel } from "../src/logging.js";
+import { SHOP_ID, shopDate, startBackend } from "./helpers.js";
+import { createEmptyData } from "./mockTekmetric.js";
+
+setLogLevel("error");
+
+// A server whose responses take `delayMs`; `events` records finished
+// responses, flushes and exit() calls in order
+async function startSlowServer({ delayMs, timeoutMs }) {
+  const events = [];
+  const server = http.createServer((req, res) => {
+    res.on("finish", () => events.push("response"));
+    setTimeout(() => res.end("done"), delayMs);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const shutdown = createShutdown({
+    server,
+    timeoutMs,
+    flush: async () => events.push("flush"),
+    exit: (code) => events.push(`exit ${code}`)
+  });
+  return { shutdown, events, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+describe("createShutdown", () => {
+  test("lets in-flight requests finish, flushes, then exits 0", async () => {
+    const slow = await startSlowServer({ delayMs: 100, timeoutMs: 2000 });
+
+    const pending = fetch(slow.url).then(async (res) => ({
+      status: res.status,
+      connection: res.headers.get("connection"),
+      body: await res.text()
+    }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await slow.shutdown("SIGTERM");
+
+    const res = await pending;
+    assert.equal(res.status, 200);
+    assert.equal(res.body, "done");
+    assert.equal(res.connection, "close");
+    assert.deepEqual(slow.events, ["response", "flush", "exit 0"]);
+  });
+
+  test("cuts requests still running at the deadline and exits 1", async () => {
+    const slow = await startSlowServer({ delayMs: 1000, timeoutMs: 50 });
+
+    const pending = fetch(slow.url).then(
+      () => "answered",
+      () => "cut"
+    );
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await slow.shutdown("SIGTERM");
+
+    assert.equal(await pending, "cut");
+    assert.deepEqual(slow.events, ["flush", "exit 1"]);
+  });
+
+  test("joins a shutdown in progress and keeps the worse exit code", async () => {
+    const slow = await startSlowServer({ delayMs: 0, timeoutMs: 1000 });
+
+    const first = slow.shutdown("SIGTERM");
+    const second = slow.shutdown("uncaughtException", 1);
+    await Promise.all([first, second]);
+
+    assert.equal(first, second);
+    assert.deepEqual(slow.events, ["flush", "exit 1"]);
+  });
+});
+
+describe("SIGTERM on the backend", () => {
+  let backend;
+
+  before(async () => {
+    backend = await startBackend({ mockData: createEmptyData() });
+  });
+
+  after(() => backend?.stop());
+
+  test("finishes an in-progress booking before exiting 0", async () => {
+    // Tekmetric takes a moment to accept the booking
+    backend.mock.fail({
+      method: "POST",
+      path: "/api/v1/appointments",
+      status: 200,
+      body: { type: "SUCCESS", data: 9001 },
+      delayMs: 300
+    });
+
+    const day = shopDate(30);
+    const pending = backend.call("createAppointment", {
+      body: {
+        shopId: SHOP_ID,
+        customerId: 10,
+        vehicleId: 20,
+        title: "Advance appointment",
+        startTime: `${day}T08:00:00`,
+        endTime: `${day}T09:00:00`
+      }
+    });
+
+    // Wait until the backend is inside the Tekmetric call
+    while (backend.mock.callsTo("POST", "/api/v1/appointments").length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const exited = once(backend.child, "exit");
+    backend.child.kill("SIGTERM");
+
+    const res = await pending;
+    const [code] = await exited;
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.appointment.data, 9001);
+    assert.equal(code, 0);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getSmartRecommendedMonths, summarizeMileageHistory } from "../src/helpers/mileage.js";
+
+const TIMEZONE = "America/Chicago";
+
+describe("summarizeMileageHistory", () => {
+  test("builds a chronological, forward-only timeline", () => {
+    const history = summarizeMileageHistory(
+      [
+        { completedDate: "2026-07-01T15:00:00Z", milesOut: 33000 },
+        { completedDate: "2026-01-01T15:00:00Z", milesOut: 30000 },
+        { completedDate: "2026-04-01T15:00:00Z", milesOut: 29000 }, // odometer typo
+        { completedDate: "2026-05-01T15:00:00Z", milesOut: 0 },
+        { createdDate: "2026-03-01T15:00:00Z", milesIn: 31000 },
+        { milesOut: 40000 } // no date
+      ],
+      TIMEZONE
+    );
+
+    assert.deepEqual(
+      history.mileageTimeline.map((entry) => [entry.dateKey, entry.mileage]),
+      [
+        ["2026-01-01", 30000],
+        ["2026-03-01", 31000],
+        ["2026-07-01", 33000]
+      ]
+    );
+    assert.equal(history.dataPointCount, 3);
+    assert.equal(history.historySpanDays, 181);
+    // 3000 miles over ~181 days
+    assert.ok(history.avgMilesPerDay > 16.5 && history.avgMilesPerDay < 16.6);
+  });
+
+  test("needs two data points for a pace", () => {
+    const history = summarizeMileageHistory(
+      [{ completedDate: "2026-01-01T15:00:00Z", milesOut: 30000 }],
+      TIMEZONE
+    );
+
+    assert.equal(history.dataPointCount, 1);
+    assert.equal(history.avgMilesPerDay, null);
+    assert.equal(history.historySpanDays, null);
+  });
+});
+
+describe("getSmartRecommendedMonths", () => {
+  test("rounds the months needed to cover the target miles", () => {
+    // ~1000 miles a month
+    assert.equal(getSmartRecommendedMonths(1000 / 30.4375, 6000), 6);
+  });
+
+  test("returns null without a pace or outside 1-12 months", () => {
+    assert.equal(getSmartRecommendedMonths(null, 6000), null);
+    assert.equal(getSmartRecommendedMonths(0, 6000), null);
+    assert.equal(getSmartRecommendedMonths(1, 6000), null); // ~16 years
+    assert.equal(getSmartRecommendedMonths(10000, 6000), null); // under a month
+  });
+});
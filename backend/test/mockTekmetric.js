@@ -0,0 +1,429 @@
+/**
+ * A fake Tekmetric API for local development and the integration suite.
+ * Serves the endpoints the backend uses (OAuth token, repair orders, jobs,
+ * customers, vehicles, appointments) from in-memory data, with Tekmetric's
+ * page/size paging. Point TEKMETRIC_BASE_URL at it.
+ *
+ *   npm run mock:tekmetric        listen on MOCK_TEKMETRIC_PORT (default 9911)
+ *
+ * Tests import createMockTekmetric() and seed `mock.data` themselves.
+ * `clients` sets up several API clients, each limited to its `shops`, the
+ * way Tekmetric scopes credentials to an ownership group.
+ */
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+export const MOCK_CLIENT_ID = "mock-client";
+export const MOCK_CLIENT_SECRET = "mock-secret";
+
+const TOKEN_TTL_SECONDS = 3600;
+
+export function createEmptyData() {
+  return {
+    shops: [],
+    repairOrders: [],
+    jobs: [],
+    customers: [],
+    vehicles: [],
+    appointments: []
+  };
+}
+
+// A small shop to click around in when running the mock by hand
+export function createSampleData() {
+  const data = createEmptyData();
+  const daysFromNow = (days, hour) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString();
+  };
+
+  data.shops.push({ id: 1, name: "Sample Auto" });
+  data.customers.push(
+    { id: 10, shopId: 1, firstName: "Dana", lastName: "Reyes" },
+    { id: 11, shopId: 1, firstName: "Sam", lastName: "Okafor" }
+  );
+  data.vehicles.push(
+    { id: 20, shopId: 1, customerId: 10, year: 2019, make: "Toyota", model: "Camry" },
+    { id: 21, shopId: 1, customerId: 11, year: 2021, make: "Ford", model: "F-150" }
+  );
+  data.repairOrders.push(
+    {
+      id: 100,
+      repairOrderNumber: 5100,
+      shopId: 1,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 30000,
+      completedDate: daysFromNow(-360, 15),
+      createdDate: daysFromNow(-361, 14)
+    },
+    {
+      id: 101,
+      repairOrderNumber: 5101,
+      shopId: 1,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 2, name: "Work-in-Progress" },
+      milesOut: 42000,
+      completedDate: daysFromNow(0, 15),
+      createdDate: daysFromNow(0, 13)
+    },
+    {
+      id: 102,
+      repairOrderNumber: 5102,
+      shopId: 1,
+      customerId: 11,
+      vehicleId: 21,
+      repairOrderStatus: { id: 1, name: "Estimate" },
+      milesIn: 18000,
+      createdDate: daysFromNow(0, 14)
+    }
+  );
+  data.jobs.push(
+    { id: 1000, repairOrderId: 101, name: "Oil Change", authorized: true },
+    { id: 1001, repairOrderId: 101, name: "Brake Pads", authorized: false }
+  );
+  data.appointments.push({
+    id: 500,
+    shopId: 1,
+    customerId: 11,
+    vehicleId: 21,
+    title: "Tire rotation",
+    startTime: daysFromNow(3, 14),
+    endTime: daysFromNow(3, 15),
+    appointmentOption: { id: 2, code: "DROP" },
+    appointmentStatus: "NONE"
+  });
+
+  return data;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => resolve(text));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Spring-style page, like Tekmetric's list endpoints
+function toPage(rows, query) {
+  const page = Math.max(0, Number.parseInt(query.get("page") ?? "0", 10) || 0);
+  const size = Math.max(1, Number.parseInt(query.get("size") ?? "100", 10) || 100);
+  const content = rows.slice(page * size, (page + 1) * size);
+  const totalPages = Math.ceil(rows.length / size);
+
+  return {
+    content,
+    number: page,
+    size,
+    numberOfElements: content.length,
+    totalElements: rows.length,
+    totalPages,
+    first: page === 0,
+    last: page + 1 >= totalPages
+  };
+}
+
+const matchesId = (value, expected) => expected == null || String(value) === String(expected);
+
+/**
+ * The fake server. `data` is the live store (mutate it to seed a test),
+ * `requests` records every call (with the calling `clientId`), and fail()
+ * scripts upstream failures. A client sees only its `shops` ("*" for all);
+ * anything else is a 403, as from Tekmetric.
+ */
+export function createMockTekmetric({
+  clientId = MOCK_CLIENT_ID,
+  clientSecret = MOCK_CLIENT_SECRET,
+  clients = [{ clientId, clientSecret, shops: ["*"] }],
+  data = createEmptyData()
+} = {}) {
+  const validTokens = new Map(); // token -> client
+  const failures = [];
+  let tokenCount = 0;
+  let nextAppointmentId = 9000;
+
+  const mock = {
+    data,
+    requests: [],
+
+    /**
+     * Fail matching requests: `path` is an exact path or a RegExp, `times`
+     * how many requests to fail (default 1), `delayMs` holds the response
+     * back (use it past TEKMETRIC_TIMEOUT_MS for a timeout).
+     */
+    fail({ method = null, path, status = 500, body = { message: "Mock failure" }, times = 1, delayMs = 0, headers = {} }) {
+      failures.push({ method, path, status, body, times, delayMs, headers });
+    },
+
+    clearFailures() {
+      failures.length = 0;
+    },
+
+    // Tokens issued so far stop working; the next call gets a 401
+    expireTokens() {
+      validTokens.clear();
+    },
+
+    reset(nextData = createEmptyData()) {
+      for (const key of Object.keys(mock.data)) delete mock.data[key];
+      Object.assign(mock.data, nextData);
+      mock.requests.length = 0;
+      mock.clearFailures();
+    },
+
+    // Recorded requests for a method and path prefix
+    callsTo(method, pathPrefix) {
+      return mock.requests.filter(
+        (call) => call.method === method && call.path.startsWith(pathPrefix)
+      );
+    },
+
+    server: null,
+    baseUrl: null,
+
+    async listen(port = 0, host = "127.0.0.1") {
+      mock.server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => sendJson(res, 500, { message: err.message }));
+      });
+      await new Promise((resolve) => mock.server.listen(port, host, resolve));
+      mock.baseUrl = `http://${host}:${mock.server.address().port}`;
+      return mock.baseUrl;
+    },
+
+    async close() {
+      if (!mock.server) return;
+      mock.server.closeAllConnections?.();
+      await new Promise((resolve) => mock.server.close(resolve));
+      mock.server = null;
+    }
+  };
+
+  function takeFailure(method, path) {
+    const index = failures.findIndex(
+      (f) =>
+        (!f.method || f.method === method) &&
+        (f.path instanceof RegExp ? f.path.test(path) : f.path === path)
+    );
+    if (index === -1) return null;
+
+    const failure = failures[index];
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(index, 1);
+    return failure;
+  }
+
+  function issueToken(req, res) {
+    const client = clients.find(
+      (candidate) =>
+        req.headers.authorization ===
+        `Basic ${Buffer.from(`${candidate.clientId}:${candidate.clientSecret}`).toString("base64")}`
+    );
+    if (!client) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+
+    tokenCount += 1;
+    const token = `mock-token-${tokenCount}`;
+    validTokens.set(token, client);
+    return sendJson(res, 200, {
+      access_token: token,
+      token_type: "bearer",
+      expires_in: TOKEN_TTL_SECONDS,
+      scope: "shop"
+    });
+  }
+
+  function findById(collection, id) {
+    return mock.data[collection].find((item) => String(item.id) === String(id)) ?? null;
+  }
+
+  const canSeeShop = (client, shopId) =>
+    shopId == null || client.shops.includes("*") || client.shops.map(String).includes(String(shopId));
+
+  // The shop a call touches: ?shop=, the body's shopId, or the addressed record's
+  function getRequestShop(path, query, body) {
+    if (query.get("shop")) return query.get("shop");
+    if (body?.shopId != null) return body.shopId;
+
+    const match = path.match(/^\/api\/v1\/(shops|repair-orders|customers|vehicles|appointments)\/(\d+)$/);
+    if (!match) return null;
+    if (match[1] === "shops") return match[2];
+
+    const collection = match[1] === "repair-orders" ? "repairOrders" : match[1];
+    return findById(collection, match[2])?.shopId ?? null;
+  }
+
+  function listRepairOrders(query) {
+    const statusIds = query.getAll("repairOrderStatusId");
+    const search = (query.get("search") || "").toLowerCase();
+
+    let rows = mock.data.repairOrders.filter(
+      (ro) =>
+        matchesId(ro.shopId, query.get("shop")) &&
+        matchesId(ro.vehicleId, query.get("vehicleId")) &&
+        matchesId(ro.customerId, query.get("customerId")) &&
+        (statusIds.length === 0 || statusIds.includes(String(ro.repairOrderStatus?.id)))
+    );
+
+    if (search) {
+      rows = rows.filter((ro) => {
+        const customer = findById("customers", ro.customerId);
+        const haystack = [
+          ro.repairOrderNumber,
+          customer?.firstName,
+          customer?.lastName
+        ].join(" ").toLowerCase();
+        return haystack.includes(search);
+      });
+    }
+
+    if (query.get("sort") === "createdDate") {
+      const direction = query.get("sortDirection") === "ASC" ? 1 : -1;
+      rows = [...rows].sort(
+        (a, b) => direction * (Date.parse(a.createdDate ?? 0) - Date.parse(b.createdDate ?? 0))
+      );
+    }
+
+    return toPage(rows, query);
+  }
+
+  function listAppointments(query) {
+    const start = query.get("start") ? Date.parse(query.get("start")) : -Infinity;
+    const end = query.get("end") ? Date.parse(query.get("end")) : Infinity;
+
+    const rows = mock.data.appointments
+      .filter((appt) => {
+        const at = Date.parse(appt.startTime);
+        return (
+          matchesId(appt.shopId, query.get("shop")) &&
+          matchesId(appt.vehicleId, query.get("vehicleId")) &&
+          matchesId(appt.customerId, query.get("customerId")) &&
+          at >= start &&
+          at <= end
+        );
+      })
+      .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+
+    return toPage(rows, query);
+  }
+
+  function createAppointment(body) {
+    const appointment = { ...body, id: nextAppointmentId++ };
+    if (body.appointmentOption?.id === 1) appointment.appointmentOption = { id: 1, code: "STAY" };
+    if (body.appointmentOption?.id === 2) appointment.appointmentOption = { id: 2, code: "DROP" };
+    appointment.appointmentStatus = body.status ?? "NONE";
+    delete appointment.status;
+    mock.data.appointments.push(appointment);
+    return { type: "SUCCESS", message: "Appointment created", data: appointment.id };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://mock.local");
+    const path = url.pathname;
+    const query = url.searchParams;
+    const text = await readBody(req);
+    const body = text && req.headers["content-type"]?.includes("json") ? JSON.parse(text) : null;
+
+    const call = { method: req.method, path, query, body, headers: req.headers, clientId: null };
+    mock.requests.push(call);
+
+    const failure = takeFailure(req.method, path);
+    if (failure) {
+      if (failure.delayMs) await new Promise((resolve) => setTimeout(resolve, failure.delayMs));
+      if (res.destroyed) return;
+      res.writeHead(failure.status, { "Content-Type": "application/json", ...failure.headers });
+      return res.end(JSON.stringify(failure.body));
+    }
+
+    if (req.method === "POST" && path === "/api/v1/oauth/token") return issueToken(req, res);
+
+    const token = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const client = validTokens.get(token);
+    if (!client) return sendJson(res, 401, { message: "Invalid access token" });
+
+    call.clientId = client.clientId;
+    if (!canSeeShop(client, getRequestShop(path, query, body))) {
+      return sendJson(res, 403, { message: "Access denied for this shop" });
+    }
+
+    let match;
+
+    if (req.method === "GET" && path === "/api/v1/shops") {
+      return sendJson(res, 200, mock.data.shops.filter((shop) => canSeeShop(client, shop.id)));
+    }
+    if (req.method === "GET" && (match = path.match(/^\/api\/v1\/shops\/(\d+)$/))) {
+      const shop = findById("shops", match[1]);
+      return shop ? sendJson(res, 200, shop) : sendJson(res, 404, { message: "Shop not found" });
+    }
+
+    if (req.method === "GET" && path === "/api/v1/repair-orders") {
+      return sendJson(res, 200, listRepairOrders(query));
+    }
+    if (req.method === "GET" && path === "/api/v1/jobs") {
+      const rows = mock.data.jobs.filter((job) => matchesId(job.repairOrderId, query.get("repairOrderId")));
+      return sendJson(res, 200, toPage(rows, query));
+    }
+
+    for (const [collection, segment, label] of [
+      ["repairOrders", "repair-orders", "Repair order"],
+      ["customers", "customers", "Customer"],
+      ["vehicles", "vehicles", "Vehicle"]
+    ]) {
+      match = path.match(new RegExp(`^/api/v1/${segment}/(\\d+)$`));
+      if (req.method === "GET" && match) {
+        const item = findById(collection, match[1]);
+        return item ? sendJson(res, 200, item) : sendJson(res, 404, { message: `${label} not found` });
+      }
+    }
+
+    if (path === "/api/v1/appointments") {
+      if (req.method === "GET") return sendJson(res, 200, listAppointments(query));
+      if (req.method === "POST") return sendJson(res, 200, createAppointment(body ?? {}));
+    }
+
+    if ((match = path.match(/^\/api\/v1\/appointments\/(\d+)$/))) {
+      const appointment = findById("appointments", match[1]);
+      if (!appointment || appointment.deletedDate) {
+        return sendJson(res, 404, { message: "Appointment not found" });
+      }
+
+      if (req.method === "GET") return sendJson(res, 200, appointment);
+      if (req.method === "PATCH") {
+        Object.assign(appointment, body ?? {});
+        return sendJson(res, 200, { type: "SUCCESS", message: "Appointment updated", data: appointment });
+      }
+      if (req.method === "DELETE") {
+        appointment.deletedDate = new Date().toISOString();
+        return sendJson(res, 200, { type: "SUCCESS", message: "Appointment deleted", data: null });
+      }
+    }
+
+    return sendJson(res, 404, { message: `No mock route for ${req.method} ${path}` });
+  }
+
+  return mock;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = createMockTekmetric({ data: createSampleData() });
+  const port = Number(process.env.MOCK_TEKMETRIC_PORT) || 9911;
+  const baseUrl = await mock.listen(port);
+
+  console.log(`Mock Tekmetric listening on ${baseUrl}`);
+  console.log(
+    `Run the backend with TEKMETRIC_BASE_URL=${baseUrl} ` +
+      `TEKMETRIC_CLIENT_ID=${MOCK_CLIENT_ID} TEKMETRIC_CLIENT_SECRET=${MOCK_CLIENT_SECRET}`
+  );
+}
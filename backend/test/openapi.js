@@ -0,0 +1,158 @@
+/**
+ * Checks requests and responses against openapi.json. Implements the JSON
+ * Schema keywords the document uses; anything else is a test failure so the
+ * checker cannot silently skip part of the contract.
+ */
+import { readFileSync } from "node:fs";
+
+export const SPEC = JSON.parse(readFileSync(new URL("../openapi.json", import.meta.url), "utf8"));
+
+const KNOWN_KEYWORDS = new Set([
+  "$ref", "type", "const", "enum", "properties", "required", "additionalProperties",
+  "propertyNames", "items", "allOf", "oneOf", "anyOf", "minimum", "maximum",
+  "exclusiveMinimum", "maxLength", "minLength", "pattern", "format",
+  "description", "default", "examples", "example", "title", "deprecated"
+]);
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  "date-time": (value) => !Number.isNaN(Date.parse(value))
+};
+
+function resolveRef(ref) {
+  const target = ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], SPEC);
+  if (!target) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+function deref(item) {
+  return item?.$ref ? deref(resolveRef(item.$ref)) : item;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Returns a list of "path: problem" strings; empty when `value` matches.
+ */
+export function validateSchema(schema, value, path = "$") {
+  const errors = [];
+
+  for (const keyword of Object.keys(schema)) {
+    if (!KNOWN_KEYWORDS.has(keyword)) errors.push(`${path}: unsupported keyword ${keyword}`);
+  }
+
+  if (schema.$ref) return [...errors, ...validateSchema(resolveRef(schema.$ref), value, path)];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [...errors, `${path}: expected ${types.join(" | ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) errors.push(...validateSchema(part, value, path));
+  }
+  if (schema.anyOf && !schema.anyOf.some((part) => validateSchema(part, value, path).length === 0)) {
+    errors.push(`${path}: matches none of anyOf`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((part) => validateSchema(part, value, path).length === 0);
+    if (matches.length !== 1) errors.push(`${path}: matches ${matches.length} of oneOf (expected 1)`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be above ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: too long`);
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: too short`);
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${path}: not a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing ${key}`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const childPath = `${path}.${key}`;
+      if (schema.propertyNames) errors.push(...validateSchema(schema.propertyNames, key, `${childPath} (name)`));
+
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validateSchema(schema.properties[key], item, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property ${key}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, item, childPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function getOperation(operationId) {
+  for (const [path, pathItem] of Object.entries(SPEC.paths)) {
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (operation?.operationId === operationId) return { path, method, operation };
+    }
+  }
+  throw new Error(`No operation ${operationId} in openapi.json`);
+}
+
+/**
+ * Problems with a response ({ status, body }) for the operation; a status
+ * the operation does not document is itself a problem.
+ */
+export function validateResponse(operationId, { status, body }) {
+  const { operation } = getOperation(operationId);
+  const documented = operation.responses[String(status)] ?? operation.responses.default;
+  if (!documented) return [`status ${status} is not documented for ${operationId}`];
+
+  const content = deref(documented).content;
+  const media = content?.["application/json"] ?? content?.["text/plain"];
+  if (!media?.schema) return [];
+  return validateSchema(media.schema, body).map((error) => `${operationId} ${status} ${error}`);
+}
+
+export function validateRequestBody(operationId, body) {
+  const { operation } = getOperation(operationId);
+  const schema = deref(operation.requestBody)?.content?.["application/json"]?.schema;
+  if (!schema) return [];
+  return validateSchema(schema, body).map((error) => `${operationId} request ${error}`);
+}
@@ -0,0 +1,396 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import { createEmptyData } from "./mockTekmetric.js";
+import { makeAppointment, OTHER_SHOP_ID, SHOP_ID, shopTime, startBackend } from "./helpers.js";
+
+function buildData() {
+  const data = createEmptyData();
+
+  data.customers.push(
+    { id: 10, shopId: SHOP_ID, firstName: "Dana", lastName: "Reyes" },
+    { id: 11, shopId: SHOP_ID, firstName: "Sam", lastName: "Okafor" }
+  );
+  data.vehicles.push(
+    { id: 20, shopId: SHOP_ID, year: 2019, make: "Toyota", model: "Camry" },
+    { id: 21, shopId: SHOP_ID, year: 2021, make: "Ford", model: "F-150" },
+    { id: 22, shopId: SHOP_ID, year: 2015, make: "Honda", model: "Fit" }
+  );
+
+  // Vehicle 20: 24,000 forward miles over a year, plus a mistyped odometer
+  // (12,000) and a zero reading that the history must ignore
+  data.repairOrders.push(
+    {
+      id: 100,
+      repairOrderNumber: 5100,
+      shopId: SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 2, name: "Work-in-Progress" },
+      milesIn: 41900,
+      milesOut: 42000,
+      completedDate: shopTime(0, 9),
+      createdDate: shopTime(0, 8)
+    },
+    {
+      id: 101,
+      repairOrderNumber: 5101,
+      shopId: SHOP_ID,
+      customerId: 11,
+      vehicleId: 21,
+      repairOrderStatus: { id: 1, name: "Estimate" },
+      milesIn: 18000,
+      createdDate: shopTime(0, 7)
+    },
+    {
+      id: 102,
+      repairOrderNumber: 5102,
+      shopId: SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 18000,
+      completedDate: shopTime(-365, 10),
+      createdDate: shopTime(-365, 9)
+    },
+    {
+      id: 103,
+      repairOrderNumber: 5103,
+      shopId: SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 30000,
+      completedDate: shopTime(-180, 10),
+      createdDate: shopTime(-180, 9)
+    },
+    {
+      id: 104,
+      repairOrderNumber: 5104,
+      shopId: SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 12000,
+      completedDate: shopTime(-90, 10),
+      createdDate: shopTime(-90, 9)
+    },
+    {
+      id: 105,
+      repairOrderNumber: 5105,
+      shopId: SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 0,
+      completedDate: shopTime(-60, 10),
+      createdDate: shopTime(-60, 9)
+    },
+    {
+      id: 200,
+      repairOrderNumber: 9200,
+      shopId: OTHER_SHOP_ID,
+      customerId: 10,
+      vehicleId: 20,
+      repairOrderStatus: { id: 2, name: "Work-in-Progress" },
+      createdDate: shopTime(0, 8)
+    }
+  );
+
+  // Vehicle 22 has more repair orders than one Tekmetric page (200)
+  for (let i = 0; i < 250; i += 1) {
+    data.repairOrders.push({
+      id: 1000 + i,
+      repairOrderNumber: 7000 + i,
+      shopId: SHOP_ID,
+      customerId: 11,
+      vehicleId: 22,
+      repairOrderStatus: { id: 5, name: "Posted" },
+      milesOut: 50000 + i * 10,
+      completedDate: shopTime(i - 260, 12),
+      createdDate: shopTime(i - 260, 11)
+    });
+  }
+
+  data.jobs.push(
+    { id: 1, repairOrderId: 100, name: "Oil Change", authorized: true },
+    { id: 2, repairOrderId: 100, name: "Brake Pads", authorized: false },
+    { id: 3, repairOrderId: 100, name: "Cabin Filter", authorizationStatus: "DECLINED" },
+    { id: 1, repairOrderId: 100, name: "Oil Change", authorized: true }
+  );
+
+  data.appointments.push(
+    makeAppointment(1, { startTime: shopTime(20, 9), endTime: shopTime(20, 10) }),
+    makeAppointment(2, {
+      startTime: shopTime(25, 9),
+      endTime: shopTime(25, 10),
+      appointmentStatus: "CANCELLED"
+    }),
+    makeAppointment(3, { startTime: shopTime(-5, 9), endTime: shopTime(-5, 10) })
+  );
+
+  return data;
+}
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({ mockData: buildData() });
+});
+
+afterEach(() => backend.mock.clearFailures());
+
+after(() => backend?.stop());
+
+describe("GET /ro-search", () => {
+  test("returns open repair orders with customer and vehicle labels", async () => {
+    const res = await backend.call("searchRepairOrders", { shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.items.map((item) => [item.id, item.customerName, item.vehicle]),
+      [
+        [100, "Dana Reyes", "2019 Toyota Camry"],
+        [101, "Sam Okafor", "2021 Ford F-150"]
+      ]
+    );
+    assert.equal(res.body.items[0].statusName, "Work-in-Progress");
+  });
+
+  test("asks Tekmetric for estimate, WIP and complete orders of the shop", async () => {
+    await backend.call("searchRepairOrders", { shopId: SHOP_ID, q: "okafor", size: 5 });
+
+    const [call] = backend.mock.callsTo("GET", "/api/v1/repair-orders").slice(-1);
+    assert.equal(call.query.get("shop"), String(SHOP_ID));
+    assert.equal(call.query.get("search"), "okafor");
+    assert.equal(call.query.get("size"), "5");
+    assert.deepEqual(call.query.getAll("repairOrderStatusId"), ["1", "2", "3"]);
+  });
+
+  test("passes Tekmetric's paging through", async () => {
+    const res = await backend.call("searchRepairOrders", { shopId: SHOP_ID, page: 1, size: 1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map((item) => item.id), [101]);
+    assert.equal(res.body.page, 1);
+    assert.equal(res.body.totalPages, 2);
+    assert.equal(res.body.totalElements, 2);
+    assert.equal(res.body.last, true);
+  });
+
+  test("keeps results when a customer lookup fails", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/customers/11", status: 500, times: 10 });
+
+    const res = await backend.call("searchRepairOrders", { shopId: SHOP_ID }, { fresh: true });
+
+    assert.equal(res.status, 200);
+    const byId = Object.fromEntries(res.body.items.map((item) => [item.id, item]));
+    assert.equal(byId[100].customerName, "Dana Reyes");
+    assert.equal(byId[101].customerName, "");
+    assert.equal(byId[101].vehicle, "2021 Ford F-150");
+  });
+
+  test("rejects a page size over 100", async () => {
+    const res = await backend.call("searchRepairOrders", { shopId: SHOP_ID, size: 500 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+
+  test("maps a Tekmetric outage to 502", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/repair-orders", status: 503, times: 10 });
+
+    const res = await backend.call("searchRepairOrders", { shopId: SHOP_ID });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+    assert.equal(res.body.upstreamStatus, 503);
+  });
+});
+
+describe("GET /ro/:roId", () => {
+  test("returns the repair order with customer, vehicle and jobs", async () => {
+    const res = await backend.call("getRepairOrder", { roId: 100 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.roNumber, 5100);
+    assert.equal(res.body.shopId, SHOP_ID);
+    assert.equal(res.body.mileage, 42000);
+    assert.equal(res.body.customer.lastName, "Reyes");
+    assert.equal(res.body.vehicle.model, "Camry");
+    assert.equal(res.body.jobs.length, 4);
+  });
+
+  test("answers 404 when Tekmetric has no such repair order", async () => {
+    const res = await backend.call("getRepairOrder", { roId: 999999 });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+    assert.equal(res.body.upstreamStatus, 404);
+  });
+
+  test("refuses a repair order from another shop", async () => {
+    const res = await backend.call("getRepairOrder", { roId: 200 });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+  });
+
+  test("rejects a non-numeric id", async () => {
+    const res = await backend.call("getRepairOrder", { roId: "abc" });
+
+    assert.equal(res.status, 400);
+  });
+
+  test("refreshes an expired Tekmetric token once", async () => {
+    backend.mock.expireTokens();
+
+    const res = await backend.call("getRepairOrder", { roId: 101 }, { fresh: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.customer.firstName, "Sam");
+  });
+
+  test("reports a sign-in failure when Tekmetric rejects a fresh token too", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/repair-orders/101", status: 401, times: 10 });
+
+    const res = await backend.call("getRepairOrder", { roId: 101 }, { fresh: true });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+    assert.equal(res.body.message, "Could not sign in to Tekmetric");
+    assert.equal(res.body.upstreamStatus, 401);
+  });
+
+  test("maps a Tekmetric timeout to 504", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/repair-orders/101", delayMs: 700, times: 2 });
+
+    const res = await backend.call("getRepairOrder", { roId: 101 }, { fresh: true });
+
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, "UPSTREAM_TIMEOUT");
+  });
+});
+
+describe("GET /ro/:roId/context", () => {
+  test("bundles jobs, history, settings, appointments and the recommended week", async () => {
+    const res = await backend.call("getRoContext", { roId: 100 });
+    const { ro, history, settings, existingAppointments, recommendation, counts, warnings } =
+      res.body;
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(warnings, []);
+
+    // Duplicate job ids are collapsed before classifying
+    assert.deepEqual(ro.classifiedJobs.performed.map((job) => job.name), ["Oil Change"]);
+    assert.deepEqual(ro.classifiedJobs.declined.map((job) => job.name), ["Brake Pads", "Cabin Filter"]);
+
+    assert.deepEqual(history.mileageTimeline.map((entry) => entry.mileage), [18000, 30000, 42000]);
+    assert.equal(settings.isDefault, true);
+
+    // Cancelled and past appointments are not "upcoming"
+    assert.deepEqual(existingAppointments.map((appt) => appt.id), [1]);
+
+    // 24,000 miles a year reaches 6,000 in about three months
+    assert.equal(recommendation.smartMonths, 3);
+    assert.equal(recommendation.months, 3);
+    assert.deepEqual(Object.keys(counts), weekdaysFrom(recommendation.weekStart));
+  });
+
+  test("prefers an explicit months over the smart interval", async () => {
+    const res = await backend.call("getRoContext", { roId: 100, months: 9 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.recommendation.months, 9);
+    assert.equal(res.body.recommendation.smartMonths, 3);
+  });
+
+  test("falls back to defaultMonths with a single mileage reading", async () => {
+    const res = await backend.call("getRoContext", { roId: 101, defaultMonths: 4 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.history.dataPointCount, 1);
+    assert.equal(res.body.recommendation.smartMonths, null);
+    assert.equal(res.body.recommendation.months, 4);
+  });
+
+  test("still answers when Tekmetric appointments are unavailable", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/appointments", status: 500, times: 10 });
+
+    const res = await backend.call("getRoContext", { roId: 100 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.existingAppointments, []);
+    assert.equal(res.body.counts, null);
+    assert.equal(res.body.history.dataPointCount, 3);
+    assert.deepEqual(res.body.warnings, ["existingAppointments: UPSTREAM_ERROR", "counts: UPSTREAM_ERROR"]);
+  });
+
+  test("fails with 502 when the customer lookup fails", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/customers/10", status: 500, times: 10 });
+
+    const res = await backend.call("getRoContext", { roId: 100 }, { fresh: true });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+  });
+
+  test("refuses a repair order from another shop", async () => {
+    const res = await backend.call("getRoContext", { roId: 200 });
+
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /vehicle-history/:vehicleId", () => {
+  test("drops mileage regressions and zero readings", async () => {
+    const res = await backend.call("getVehicleHistory", { vehicleId: 20, shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.mileageTimeline.map((entry) => entry.mileage), [18000, 30000, 42000]);
+    assert.equal(res.body.dataPointCount, 3);
+    assert.equal(res.body.historySpanDays, 365);
+    assert.ok(Math.abs(res.body.avgMilesPerDay - 24000 / 365) < 0.01);
+  });
+
+  test("reads every page of repair orders", async () => {
+    backend.mock.requests.length = 0;
+
+    const res = await backend.call("getVehicleHistory", { vehicleId: 22, shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dataPointCount, 250);
+    assert.deepEqual(
+      backend.mock.callsTo("GET", "/api/v1/repair-orders").map((call) => call.query.get("page")),
+      ["0", "1"]
+    );
+  });
+
+  test("requires shopId", async () => {
+    const res = await backend.request("GET", "/vehicle-history/20");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+
+  test("refuses another shop", async () => {
+    const res = await backend.call("getVehicleHistory", { vehicleId: 20, shopId: OTHER_SHOP_ID });
+
+    assert.equal(res.status, 403);
+  });
+
+  test("maps a Tekmetric timeout to 504 instead of an empty history", async () => {
+    backend.mock.fail({ method: "GET", path: "/api/v1/repair-orders", delayMs: 700, times: 2 });
+
+    const res = await backend.call("getVehicleHistory", { vehicleId: 20, shopId: SHOP_ID });
+
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, "UPSTREAM_TIMEOUT");
+  });
+});
+
+function weekdaysFrom(monday) {
+  const start = new Date(`${monday}T00:00:00Z`);
+  return Array.from({ length: 5 }, (_, i) =>
+    new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10)
+  );
+}
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createRequestScheduler } from "../src/tekmetric/scheduler.js";
+
+describe("createRequestScheduler", () => {
+  test("drops a shop's bucket once it has refilled", async () => {
+    const scheduler = createRequestScheduler({ concurrency: 4, ratePerSec: 20, burst: 1 });
+
+    await Promise.all(["1", "2", "3"].map((key) => scheduler.run(key, () => key)));
+    assert.equal(scheduler.stats().buckets, 3);
+
+    // 20/s refills a one-token bucket in 50ms
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await scheduler.run("4", () => "4");
+    assert.equal(scheduler.stats().buckets, 1);
+  });
+
+  test("keeps throttling a key whose bucket is still refilling", async () => {
+    const scheduler = createRequestScheduler({ concurrency: 4, ratePerSec: 20, burst: 1 });
+    const startedAt = Date.now();
+
+    await scheduler.run("1", () => null);
+    await scheduler.run("1", () => null);
+
+    assert.ok(Date.now() - startedAt >= 40, "the second call waited for a token");
+  });
+});
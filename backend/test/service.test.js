@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { after, before, describe, test } from "node:test";
+import { createEmptyData } from "./mockTekmetric.js";
+import { OTHER_SHOP_ID, SHOP_ID, startBackend } from "./helpers.js";
+
+let backend;
+
+before(async () => {
+  const data = createEmptyData();
+  data.shops.push({ id: SHOP_ID, name: "Test Shop" });
+  backend = await startBackend({
+    mockData: data,
+    env: { READYZ_SHOP_ID: String(SHOP_ID), READYZ_CACHE_SECONDS: "0.001", METRICS_TOKEN: "scrape" }
+  });
+});
+
+after(() => backend?.stop());
+
+describe("probes", () => {
+  test("GET /healthz reports configuration without credentials", async () => {
+    const res = await backend.request("GET", "/healthz", { apiKey: null });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tekmetricConfigured, true);
+    assert.equal(res.body.authConfigured, true);
+    assert.deepEqual(res.body.missingEnvVars, []);
+  });
+
+  test("GET /readyz is ready when a token and a shop call succeed", async () => {
+    const res = await backend.request("GET", "/readyz", { apiKey: null });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ready, true);
+    assert.equal(backend.mock.callsTo("GET", `/api/v1/shops/${SHOP_ID}`).length > 0, true);
+  });
+
+  test("GET /readyz returns 503 when Tekmetric fails", async () => {
+    backend.mock.fail({ method: "GET", path: `/api/v1/shops/${SHOP_ID}`, status: 500 });
+    await new Promise((resolve) => setTimeout(resolve, 5)); // let the cached result expire
+
+    const res = await backend.request("GET", "/readyz", { apiKey: null });
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.ready, false);
+    assert.equal(res.body.upstream.status, 500);
+    // Unauthenticated: the code only, never Tekmetric's response text
+    assert.equal(res.body.upstream.error, "UPSTREAM_ERROR");
+    assert.doesNotMatch(JSON.stringify(res.body), /Mock failure/);
+  });
+
+  test("GET /metrics requires METRICS_TOKEN when set", async () => {
+    const denied = await backend.request("GET", "/metrics", { apiKey: "wrong" });
+    assert.equal(denied.status, 401);
+
+    const res = await backend.request("GET", "/metrics", { apiKey: "scrape" });
+    assert.equal(res.status, 200);
+    assert.match(res.body, /^# TYPE http_requests_total counter$/m);
+    assert.match(res.body, /^tekmetric_token_refreshes_total \d+$/m);
+  });
+
+  test("GET /openapi.json serves the document the client is generated from", async () => {
+    const res = await backend.request("GET", "/openapi.json", { apiKey: null });
+    const onDisk = JSON.parse(readFileSync(new URL("../openapi.json", import.meta.url), "utf8"));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, onDisk);
+  });
+});
+
+describe("API keys", () => {
+  test("rejects requests without a key", async () => {
+    const res = await backend.request("GET", `/shops/${SHOP_ID}/settings`, { apiKey: null });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "UNAUTHORIZED");
+  });
+
+  test("rejects an unknown key", async () => {
+    const res = await backend.request("GET", `/shops/${SHOP_ID}/settings`, { apiKey: "nope" });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "UNAUTHORIZED");
+  });
+
+  test("accepts X-API-Key as well as a bearer token", async () => {
+    const res = await backend.request("GET", `/shops/${SHOP_ID}/settings`, {
+      apiKey: null,
+      headers: { "X-API-Key": "test-api-key" }
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  test("refuses shops the key is not scoped to", async () => {
+    const res = await backend.call("getShopSettings", { shopId: OTHER_SHOP_ID });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+  });
+
+  test("answers malformed JSON with the error envelope", async () => {
+    const res = await backend.request("POST", "/appointments", { body: "{not json" });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+  });
+});
+
+describe("metrics without METRICS_TOKEN", () => {
+  test("GET /metrics takes an API key by default", async (t) => {
+    const other = await startBackend({ mockData: createEmptyData() });
+    t.after(() => other.stop());
+
+    const anonymous = await other.request("GET", "/metrics", { apiKey: null });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, "UNAUTHORIZED");
+
+    const res = await other.request("GET", "/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.body, /^# TYPE http_requests_total counter$/m);
+  });
+
+  test("GET /metrics is open with METRICS_PUBLIC=true", async (t) => {
+    const other = await startBackend({ mockData: createEmptyData(), env: { METRICS_PUBLIC: "true" } });
+    t.after(() => other.stop());
+
+    const res = await other.request("GET", "/metrics", { apiKey: null });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { API_KEY, OTHER_SHOP_ID, SHOP_ID, startBackend } from "./helpers.js";
+
+// An advisor's extension key: same shop, but no manager role
+const ADVISOR_KEY = "advisor-api-key";
+
+let backend;
+
+before(async () => {
+  backend = await startBackend({
+    env: {
+      API_KEYS: JSON.stringify([
+        { id: "manager", key: API_KEY, shops: [String(SHOP_ID)], roles: ["manager"] },
+        { id: "advisor", key: ADVISOR_KEY, shops: [String(SHOP_ID)] }
+      ])
+    }
+  });
+});
+
+after(() => backend?.stop());
+
+describe("/shops/:shopId/capacity", () => {
+  test("starts unlimited", async () => {
+    const res = await backend.call("getShopCapacity", { shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.capacity.maxDropoffsPerDay, null);
+    assert.equal(res.body.capacity.maxWaitersPerHour, null);
+    assert.deepEqual(res.body.capacity.blockedHours, []);
+  });
+
+  test("saves a capacity model and reads it back", async () => {
+    const saved = await backend.call("putShopCapacity", {
+      shopId: SHOP_ID,
+      body: { maxDropoffsPerDay: 8, blockedHours: [13, 12, 12], dayStartHour: 7 }
+    });
+
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.capacity.blockedHours, [12, 13]);
+
+    const res = await backend.call("getShopCapacity", { shopId: SHOP_ID });
+    assert.deepEqual(res.body.capacity, saved.body.capacity);
+  });
+
+  test("rejects invalid fields", async () => {
+    const res = await backend.call("putShopCapacity", {
+      shopId: SHOP_ID,
+      body: { maxDropoffsPerDay: -1, blockedHours: [25], dayStartHour: 22, dayEndHour: 20 }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 3);
+  });
+
+  test("rejects booleans, empty strings and numeric strings instead of coercing them", async () => {
+    const res = await backend.call("putShopCapacity", {
+      shopId: SHOP_ID,
+      body: { maxDropoffsPerDay: "", maxWaitersPerHour: true, dayStartHour: " 7 ", blockedHours: [[5]] }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 4);
+  });
+
+  test("refuses another shop", async () => {
+    const res = await backend.call("putShopCapacity", { shopId: OTHER_SHOP_ID, body: {} });
+
+    assert.equal(res.status, 403);
+  });
+
+  test("refuses a change from a non-manager key", async () => {
+    const res = await backend.request("PUT", `/shops/${SHOP_ID}/capacity`, {
+      apiKey: ADVISOR_KEY,
+      headers: { "X-Tekmetric-Environment": "production" },
+      body: { maxDropoffsPerDay: 1 }
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+  });
+});
+
+describe("/shops/:shopId/settings", () => {
+  test("reports defaults until a manager saves settings", async () => {
+    const res = await backend.call("getShopSettings", { shopId: SHOP_ID });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isDefault, true);
+    assert.equal(res.body.settings.defaultMonths, 6);
+    assert.deepEqual(res.body.settings.businessHours.mon, { open: 6, close: 22 });
+  });
+
+  test("saves settings and fills omitted weekdays with defaults", async () => {
+    const saved = await backend.call("putShopSettings", {
+      shopId: SHOP_ID,
+      body: {
+        defaultMonths: 4,
+        defaultColor: "green",
+        businessHours: { sat: { open: 8, close: 13 }, sun: null }
+      }
+    });
+
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.isDefault, false);
+
+    const res = await backend.call("getShopSettings", { shopId: SHOP_ID });
+    assert.equal(res.body.isDefault, false);
+    assert.equal(res.body.settings.defaultMonths, 4);
+    assert.equal(res.body.settings.defaultColor, "green");
+    assert.deepEqual(res.body.settings.businessHours.sat, { open: 8, close: 13 });
+    assert.equal(res.body.settings.businessHours.sun, null);
+    assert.deepEqual(res.body.settings.businessHours.mon, { open: 6, close: 22 });
+  });
+
+  test("rejects unknown weekdays and out-of-range values", async () => {
+    const res = await backend.call("putShopSettings", {
+      shopId: SHOP_ID,
+      body: { defaultMonths: 13, defaultColor: "teal", businessHours: { xyz: null } }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 3);
+  });
+
+  test("rejects booleans and empty strings instead of coercing them", async () => {
+    const res = await backend.call("putShopSettings", {
+      shopId: SHOP_ID,
+      body: { defaultMonths: true, defaultMiles: "", businessHours: { mon: { open: "", close: 18 } } }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors.length, 3);
+  });
+
+  test("refuses another shop", async () => {
+    const res = await backend.call("getShopSettings", { shopId: OTHER_SHOP_ID });
+
+    assert.equal(res.status, 403);
+  });
+
+  test("lets any shop key read settings but only a manager key change them", async () => {
+    const read = await backend.request("GET", `/shops/${SHOP_ID}/settings`, { apiKey: ADVISOR_KEY });
+    assert.equal(read.status, 200);
+
+    const res = await backend.request("PUT", `/shops/${SHOP_ID}/settings`, {
+      apiKey: ADVISOR_KEY,
+      headers: { "X-Tekmetric-Environment": "production" },
+      body: { defaultMonths: 2 }
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "FORBIDDEN");
+
+    const current = await backend.call("getShopSettings", { shopId: SHOP_ID });
+    assert.notEqual(current.body.settings.defaultMonths, 2);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { setLogLevel } from "../src/logging.js";
+import { createJsonStore } from "../src/store.js";
+
+setLogLevel("error");
+
+let dataDir;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(os.tmpdir(), "aa-store-test-"));
+});
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+describe("createJsonStore", () => {
+  test("picks up a write made by another instance on the same directory", async () => {
+    const first = createJsonStore({ dataDir });
+    const second = createJsonStore({ dataDir });
+
+    assert.deepEqual(await first.read("settings"), {});
+    await second.write("settings", { 1: { defaultMonths: 4 } });
+
+    assert.deepEqual(await first.read("settings"), { 1: { defaultMonths: 4 } });
+
+    await first.write("settings", { 1: { defaultMonths: 4 }, 2: { defaultMonths: 9 } });
+    assert.deepEqual(Object.keys(await second.read("settings")), ["1", "2"]);
+  });
+
+  test("leaves no temp files behind after concurrent writes", async () => {
+    const stores = [createJsonStore({ dataDir }), createJsonStore({ dataDir })];
+
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => stores[i % 2].write("capacity", { n: i }))
+    );
+
+    assert.deepEqual((await readdir(dataDir)).filter((name) => name.endsWith(".tmp")), []);
+    const { n } = await createJsonStore({ dataDir }).read("capacity");
+    assert.equal(typeof n, "number");
+  });
+});
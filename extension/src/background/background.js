@@ -1,15 +1,28 @@
 // src/background/background.js
 "use strict";
 
-const CLOUD_RUN_BASE =
-  "https://advance-appointment-service-361478515851.us-east4.run.app";
+importScripts("/src/shared/settings.js");
+
+const settingsApi = globalThis.AA.settings;
 
   let lastSidePanelTabId = null;
 
+// Backend base URL from the options page; refreshed when it changes
+let backendBaseUrl = settingsApi.DEFAULT_SETTINGS.backendUrl;
+const settingsReady = settingsApi.loadSettings().then((settings) => {
+  backendBaseUrl = settings.backendUrl;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  const change = changes[settingsApi.SETTINGS_STORAGE_KEY];
+  if (area !== "sync" || !change) return;
+  backendBaseUrl = settingsApi.normalizeSettings(change.newValue).backendUrl;
+});
+
 function isAllowedUrl(url) {
   try {
     const u = new URL(url);
-    return u.origin === new URL(CLOUD_RUN_BASE).origin;
+    return u.origin === new URL(backendBaseUrl).origin;
   } catch {
     return false;
   }
@@ -52,6 +65,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           timeoutMs = 25000
         } = message.payload || {};
 
+        await settingsReady;
         if (!url || typeof url !== "string" || !isAllowedUrl(url)) {
           sendResponse({
             ok: false,
@@ -0,0 +1,166 @@
+// src/options/options.js
+(function () {
+  "use strict";
+
+  const settingsApi = globalThis.AA.settings; // src/shared/settings.js
+
+  // Kept in chrome.storage.local (not sync) so the key never leaves this device
+  const API_KEY_STORAGE_KEY = "aaApiKey";
+
+  const form = document.getElementById("options-form");
+  const statusEl = document.getElementById("status");
+  if (!form) return;
+
+  const fields = {
+    backendUrl: document.getElementById("backendUrl"),
+    apiKey: document.getElementById("apiKey"),
+    defaultMonths: document.getElementById("defaultMonths"),
+    defaultMiles: document.getElementById("defaultMiles"),
+    dayStartHour: document.getElementById("dayStartHour"),
+    dayEndHour: document.getElementById("dayEndHour"),
+    defaultColor: document.getElementById("defaultColor")
+  };
+
+  let statusTimer = null;
+
+  function showStatus(text, isError = false) {
+    if (!statusEl) return;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", isError);
+    clearTimeout(statusTimer);
+    if (!isError) {
+      statusTimer = setTimeout(() => {
+        statusEl.textContent = "";
+      }, 2500);
+    }
+  }
+
+  function formatHourLabel(hour) {
+    if (hour === 24) return "Midnight";
+    const suffix = hour >= 12 ? "PM" : "AM";
+    const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+    return `${hour12}:00 ${suffix}`;
+  }
+
+  function fillSelect(select, options) {
+    select.innerHTML = "";
+    for (const { value, label } of options) {
+      const opt = document.createElement("option");
+      opt.value = String(value);
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+  }
+
+  function buildSelects() {
+    const hours = Array.from({ length: 25 }, (_, hour) => ({
+      value: hour,
+      label: formatHourLabel(hour)
+    }));
+    fillSelect(fields.dayStartHour, hours.slice(0, 24));
+    fillSelect(fields.dayEndHour, hours.slice(1));
+    fillSelect(
+      fields.defaultColor,
+      settingsApi.TEKMETRIC_COLORS.map((color) => ({
+        value: color,
+        label: color.replace(/\b\w/g, (c) => c.toUpperCase())
+      }))
+    );
+  }
+
+  function readForm() {
+    return {
+      backendUrl: fields.backendUrl.value.trim(),
+      defaultMonths: Number(fields.defaultMonths.value),
+      defaultMiles: Number(fields.defaultMiles.value),
+      dayStartHour: Number(fields.dayStartHour.value),
+      dayEndHour: Number(fields.dayEndHour.value),
+      defaultColor: fields.defaultColor.value
+    };
+  }
+
+  function validate(values) {
+    const { LIMITS } = settingsApi;
+
+    if (!settingsApi.normalizeBackendUrl(values.backendUrl)) {
+      return "Backend URL must be an https:// URL (http:// is allowed for localhost).";
+    }
+    if (
+      !Number.isInteger(values.defaultMonths) ||
+      values.defaultMonths < LIMITS.minMonths ||
+      values.defaultMonths > LIMITS.maxMonths
+    ) {
+      return `Default months must be between ${LIMITS.minMonths} and ${LIMITS.maxMonths}.`;
+    }
+    if (
+      !Number.isInteger(values.defaultMiles) ||
+      values.defaultMiles < LIMITS.minMiles ||
+      values.defaultMiles > LIMITS.maxMiles
+    ) {
+      return `Default miles must be between ${LIMITS.minMiles} and ${LIMITS.maxMiles}.`;
+    }
+    if (values.dayEndHour <= values.dayStartHour) {
+      return "Closing time must be after opening time.";
+    }
+    return null;
+  }
+
+  // A custom backend needs host access; the packaged one is in host_permissions.
+  // Must be called before any await so the click still counts as a user gesture.
+  function requestBackendAccess(backendUrl) {
+    const origin = new URL(backendUrl).origin;
+    if (origin === new URL(settingsApi.DEFAULT_SETTINGS.backendUrl).origin) {
+      return Promise.resolve(true);
+    }
+    return chrome.permissions.request({ origins: [`${origin}/*`] });
+  }
+
+  async function load() {
+    const [settings, stored] = await Promise.all([
+      settingsApi.loadSettings(),
+      chrome.storage.local.get([API_KEY_STORAGE_KEY])
+    ]);
+
+    fields.backendUrl.value = settings.backendUrl;
+    fields.apiKey.value = stored[API_KEY_STORAGE_KEY] || "";
+    fields.defaultMonths.value = String(settings.defaultMonths);
+    fields.defaultMiles.value = String(settings.defaultMiles);
+    fields.dayStartHour.value = String(settings.dayStartHour);
+    fields.dayEndHour.value = String(settings.dayEndHour);
+    fields.defaultColor.value = settings.defaultColor;
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const values = readForm();
+    const error = validate(values);
+    if (error) {
+      showStatus(error, true);
+      return;
+    }
+
+    try {
+      const granted = await requestBackendAccess(values.backendUrl);
+      if (!granted) {
+        showStatus("Chrome did not grant access to that backend URL.", true);
+        return;
+      }
+
+      const apiKey = fields.apiKey.value.trim();
+      await Promise.all([
+        settingsApi.saveSettings(values),
+        apiKey
+          ? chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: apiKey })
+          : chrome.storage.local.remove([API_KEY_STORAGE_KEY])
+      ]);
+
+      showStatus("Saved");
+    } catch (err) {
+      showStatus(err?.message || "Failed to save options", true);
+    }
+  });
+
+  buildSelects();
+  load().catch((err) => showStatus(err?.message || "Failed to load options", true));
+})();
@@ -14,6 +14,12 @@
     return match ? match[1] : null;
   }
 
+  // Tekmetric URLs look like /admin/shop/{shopId}/repair-orders/{roId}/...
+  function getShopIdFromUrl() {
+    const match = window.location.pathname.match(/\/shop\/(\d+)(?:\/|$)/);
+    return match ? match[1] : null;
+  }
+
   function getRoIdFromSchedulerQuery() {
     const params = new URLSearchParams(window.location.search);
     const roId = params.get(RO_ID_QUERY_PARAM);
@@ -143,10 +149,12 @@ async function openSidePanelWithContext(roId) {
     await chrome.storage.local.remove(["aaPanelState"]);
   } catch {}
 
-  // Write context for the side panel to read
+  // Write context for the side panel to read. shopId (when the URL has it)
+  // lets the backend pick the shop's Tekmetric credentials up front.
+  const shopId = getShopIdFromUrl();
   try {
     await chrome.storage.local.set({
-      aaContext: { roId: String(roId), origin: window.location.origin }
+      aaContext: { roId: String(roId), origin: window.location.origin, ...(shopId ? { shopId } : {}) }
     });
   } catch {}
 
@@ -0,0 +1,271 @@
+// src/shared/apiClient.js
+// Generated from backend/openapi.json (Advance Appointment Service 1.0.0) by
+// backend/scripts/generate-client.js. Do not edit; run `npm run generate:client`.
+(function (root) {
+  "use strict";
+
+  if (!root.AA) root.AA = {};
+
+  function requireParams(operationId, params, names) {
+    for (const name of names) {
+      if (params[name] == null || params[name] === "") {
+        throw new Error(`${operationId}: ${name} is required`);
+      }
+    }
+  }
+
+  function buildQuery(query) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value == null || value === "") continue;
+      search.set(key, String(value));
+    }
+    const text = search.toString();
+    return text ? `?${text}` : "";
+  }
+
+  function stripUndefinedHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers || {}).filter(([, value]) => value != null));
+  }
+
+  /**
+   * transport(path, { method, headers, body, ...options }) performs the call
+   * and resolves with the parsed JSON body (the side panel's cloudRunFetch).
+   */
+  function createClient(rawTransport) {
+    const transport = (path, options) =>
+      rawTransport(path, { ...options, headers: stripUndefinedHeaders(options.headers) });
+
+    return {
+      /**
+       * Cancel (delete) an appointment in Tekmetric.
+       * DELETE /appointments/{id}
+       * params: id, shopId, [xTekmetricEnvironment]
+       */
+      cancelAppointment(params = {}, options = {}) {
+        requireParams("cancelAppointment", params, ["id", "shopId"]);
+        return transport(`/appointments/${encodeURIComponent(params.id)}${buildQuery({ shopId: params.shopId })}`, {
+          ...options,
+          method: "DELETE",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Book an appointment in Tekmetric.
+       * POST /appointments
+       * params: [idempotencyKey], [xTekmetricEnvironment], body
+       */
+      createAppointment(params = {}, options = {}) {
+        requireParams("createAppointment", params, ["body"]);
+        return transport(`/appointments`, {
+          ...options,
+          method: "POST",
+          headers: { ...options.headers, "Idempotency-Key": params.idempotencyKey, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: params.body
+        });
+      },
+
+      /**
+       * Active appointments per day, or per type and hour with groupBy=hour.
+       * GET /appointments/counts
+       * params: shopId, startDate, endDate, [appointmentType], [groupBy], [includeTypes], [xTekmetricEnvironment]
+       */
+      getAppointmentCounts(params = {}, options = {}) {
+        requireParams("getAppointmentCounts", params, ["shopId", "startDate", "endDate"]);
+        return transport(`/appointments/counts${buildQuery({ shopId: params.shopId, startDate: params.startDate, endDate: params.endDate, appointmentType: params.appointmentType, groupBy: params.groupBy, includeTypes: params.includeTypes })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Open / limited / full status per day and hour for one appointment type, from the shop's capacity, business hours and bookings.
+       * GET /availability
+       * params: shopId, startDate, endDate, [type], [xTekmetricEnvironment]
+       */
+      getAvailability(params = {}, options = {}) {
+        requireParams("getAvailability", params, ["shopId", "startDate", "endDate"]);
+        return transport(`/availability${buildQuery({ shopId: params.shopId, startDate: params.startDate, endDate: params.endDate, type: params.type })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Repair order with customer, vehicle and jobs. Send `Cache-Control: no-cache` to skip the response cache.
+       * GET /ro/{roId}
+       * params: roId, [shopId], [xTekmetricEnvironment]
+       */
+      getRepairOrder(params = {}, options = {}) {
+        requireParams("getRepairOrder", params, ["roId"]);
+        return transport(`/ro/${encodeURIComponent(params.roId)}${buildQuery({ shopId: params.shopId })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Everything the side panel needs to open an RO in one round trip.
+       * GET /ro/{roId}/context
+       * params: roId, [shopId], [months], [defaultMonths], [targetMiles], [xTekmetricEnvironment]
+       */
+      getRoContext(params = {}, options = {}) {
+        requireParams("getRoContext", params, ["roId"]);
+        return transport(`/ro/${encodeURIComponent(params.roId)}/context${buildQuery({ shopId: params.shopId, months: params.months, defaultMonths: params.defaultMonths, targetMiles: params.targetMiles })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * The shop's capacity model.
+       * GET /shops/{shopId}/capacity
+       * params: shopId, [xTekmetricEnvironment]
+       */
+      getShopCapacity(params = {}, options = {}) {
+        requireParams("getShopCapacity", params, ["shopId"]);
+        return transport(`/shops/${encodeURIComponent(params.shopId)}/capacity`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Scheduler defaults for the shop. isDefault is true until a manager saves them.
+       * GET /shops/{shopId}/settings
+       * params: shopId, [xTekmetricEnvironment]
+       */
+      getShopSettings(params = {}, options = {}) {
+        requireParams("getShopSettings", params, ["shopId"]);
+        return transport(`/shops/${encodeURIComponent(params.shopId)}/settings`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Mileage timeline and average miles per day from the vehicle's repair orders.
+       * GET /vehicle-history/{vehicleId}
+       * params: vehicleId, shopId, [xTekmetricEnvironment]
+       */
+      getVehicleHistory(params = {}, options = {}) {
+        requireParams("getVehicleHistory", params, ["vehicleId", "shopId"]);
+        return transport(`/vehicle-history/${encodeURIComponent(params.vehicleId)}${buildQuery({ shopId: params.shopId })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Appointments between startDate and endDate (inclusive). Without a status filter, cancelled and no-show appointments are excluded.
+       * GET /appointments
+       * params: shopId, startDate, endDate, [appointmentType], [status], [xTekmetricEnvironment]
+       */
+      listAppointments(params = {}, options = {}) {
+        requireParams("listAppointments", params, ["shopId", "startDate", "endDate"]);
+        return transport(`/appointments${buildQuery({ shopId: params.shopId, startDate: params.startDate, endDate: params.endDate, appointmentType: params.appointmentType, status: params.status })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Future active appointments already booked for a vehicle.
+       * GET /appointments/upcoming
+       * params: shopId, vehicleId, [customerId], [xTekmetricEnvironment]
+       */
+      listUpcomingAppointments(params = {}, options = {}) {
+        requireParams("listUpcomingAppointments", params, ["shopId", "vehicleId"]);
+        return transport(`/appointments/upcoming${buildQuery({ shopId: params.shopId, vehicleId: params.vehicleId, customerId: params.customerId })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Replace the shop's capacity model; omitted fields fall back to defaults.
+       * PUT /shops/{shopId}/capacity
+       * params: shopId, [xTekmetricEnvironment], body
+       */
+      putShopCapacity(params = {}, options = {}) {
+        requireParams("putShopCapacity", params, ["shopId", "body"]);
+        return transport(`/shops/${encodeURIComponent(params.shopId)}/capacity`, {
+          ...options,
+          method: "PUT",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: params.body
+        });
+      },
+
+      /**
+       * Replace the shop's settings; omitted fields and weekdays fall back to defaults.
+       * PUT /shops/{shopId}/settings
+       * params: shopId, [xTekmetricEnvironment], body
+       */
+      putShopSettings(params = {}, options = {}) {
+        requireParams("putShopSettings", params, ["shopId", "body"]);
+        return transport(`/shops/${encodeURIComponent(params.shopId)}/settings`, {
+          ...options,
+          method: "PUT",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: params.body
+        });
+      },
+
+      /**
+       * Search open repair orders (Estimate, Work-in-Progress, Complete but not posted).
+       * GET /ro-search
+       * params: shopId, [q], [page], [size], [xTekmetricEnvironment]
+       */
+      searchRepairOrders(params = {}, options = {}) {
+        requireParams("searchRepairOrders", params, ["shopId"]);
+        return transport(`/ro-search${buildQuery({ shopId: params.shopId, q: params.q, page: params.page, size: params.size })}`, {
+          ...options,
+          method: "GET",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: null
+        });
+      },
+
+      /**
+       * Move or edit an appointment. startTime and endTime must change together.
+       * PATCH /appointments/{id}
+       * params: id, [xTekmetricEnvironment], body
+       */
+      updateAppointment(params = {}, options = {}) {
+        requireParams("updateAppointment", params, ["id", "body"]);
+        return transport(`/appointments/${encodeURIComponent(params.id)}`, {
+          ...options,
+          method: "PATCH",
+          headers: { ...options.headers, "X-Tekmetric-Environment": params.xTekmetricEnvironment },
+          body: params.body
+        });
+      }
+    };
+  }
+
+  root.AA.api = {
+    createClient,
+    OPERATION_IDS: ["cancelAppointment", "createAppointment", "getAppointmentCounts", "getAvailability", "getRepairOrder", "getRoContext", "getShopCapacity", "getShopSettings", "getVehicleHistory", "listAppointments", "listUpcomingAppointments", "putShopCapacity", "putShopSettings", "searchRepairOrders", "updateAppointment"]
+  };
+})(globalThis);
@@ -0,0 +1,103 @@
+// src/shared/settings.js
+// Loaded by the options page, the side panel and the background worker.
+(function (root) {
+  "use strict";
+
+  if (!root.AA) root.AA = {};
+
+  const SETTINGS_STORAGE_KEY = "aaSettings"; // chrome.storage.sync
+
+  const TEKMETRIC_COLORS = [
+    "red",
+    "pink",
+    "yellow",
+    "orange",
+    "light green",
+    "green",
+    "blue",
+    "navy",
+    "lavender",
+    "purple"
+  ];
+
+  const DEFAULT_SETTINGS = {
+    backendUrl: "https://advance-appointment-service-361478515851.us-east4.run.app",
+    defaultMonths: 6,
+    defaultMiles: 6000,
+    dayStartHour: 6,
+    dayEndHour: 22,
+    defaultColor: "navy"
+  };
+
+  const LIMITS = {
+    minMonths: 1,
+    maxMonths: 12,
+    minMiles: 1000,
+    maxMiles: 100000
+  };
+
+  function normalizeBackendUrl(value) {
+    try {
+      const u = new URL(String(value || "").trim());
+      if (u.protocol !== "https:" && u.protocol !== "http:") return null;
+      // Plain http is only accepted for a backend running on this machine
+      if (u.protocol === "http:" && !["localhost", "127.0.0.1"].includes(u.hostname)) return null;
+      return `${u.origin}${u.pathname.replace(/\/+$/, "")}`;
+    } catch {
+      return null;
+    }
+  }
+
+  function clampInt(value, min, max, fallback) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) return fallback;
+    return n;
+  }
+
+  function normalizeSettings(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const d = DEFAULT_SETTINGS;
+
+    const next = {
+      backendUrl: normalizeBackendUrl(src.backendUrl) || d.backendUrl,
+      defaultMonths: clampInt(src.defaultMonths, LIMITS.minMonths, LIMITS.maxMonths, d.defaultMonths),
+      defaultMiles: clampInt(src.defaultMiles, LIMITS.minMiles, LIMITS.maxMiles, d.defaultMiles),
+      dayStartHour: clampInt(src.dayStartHour, 0, 23, d.dayStartHour),
+      dayEndHour: clampInt(src.dayEndHour, 1, 24, d.dayEndHour),
+      defaultColor: TEKMETRIC_COLORS.includes(src.defaultColor) ? src.defaultColor : d.defaultColor
+    };
+
+    if (next.dayEndHour <= next.dayStartHour) {
+      next.dayStartHour = d.dayStartHour;
+      next.dayEndHour = d.dayEndHour;
+    }
+
+    return next;
+  }
+
+  async function loadSettings() {
+    try {
+      const stored = await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]);
+      return normalizeSettings(stored[SETTINGS_STORAGE_KEY]);
+    } catch {
+      return normalizeSettings(null);
+    }
+  }
+
+  async function saveSettings(settings) {
+    const next = normalizeSettings(settings);
+    await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: next });
+    return next;
+  }
+
+  root.AA.settings = {
+    SETTINGS_STORAGE_KEY,
+    TEKMETRIC_COLORS,
+    DEFAULT_SETTINGS,
+    LIMITS,
+    normalizeBackendUrl,
+    normalizeSettings,
+    loadSettings,
+    saveSettings
+  };
+})(globalThis);
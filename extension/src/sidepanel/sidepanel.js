@@ -20,46 +20,68 @@
 
   const OPEN_RO_STATUS_IDS = [1, 2, 3]; // Estimate, Work-in-Progress, Complete (not posted)
   const SEARCH_DEBOUNCE_MS = 250;
+  const AVAILABILITY_RETRY_MS = 5000; // wait before refetching a week that failed
   let searchDebounceTimer = null;
 
   // ----------------------------
   // Constants / storage keys
   // ----------------------------
-  const CLOUD_RUN_URL =
-    "https://advance-appointment-service-361478515851.us-east4.run.app";
+  const settingsApi = globalThis.AA.settings; // src/shared/settings.js
+  let backendUrl = settingsApi.DEFAULT_SETTINGS.backendUrl; // replaced from options on boot
 
   const PANEL_STATE_STORAGE_KEY = "aaPanelState"; // moved from localStorage -> chrome.storage.local
   const CONTEXT_KEY = "aaContext";
+  const API_KEY_STORAGE_KEY = "aaApiKey"; // set from the extension options page
   const RO_ID_QUERY_PARAM = "aaRoId";
 
   // ----------------------------
-  // App config
+  // App config (shop-editable fields come from the options page)
   // ----------------------------
   const SHOP_CONFIG = {
     defaultMonths: 6,
     defaultMiles: 6000,
     smartTargetMiles: 6000,
-    minMonths: 1,
-    maxMonths: 12,
-    minMiles: 1000,
-    maxMiles: 100000,
+    minMonths: settingsApi.LIMITS.minMonths,
+    maxMonths: settingsApi.LIMITS.maxMonths,
+    minMiles: settingsApi.LIMITS.minMiles,
+    maxMiles: settingsApi.LIMITS.maxMiles,
     mileStep: 1000,
     dayStartHour: 6,
-    dayEndHour: 22
+    dayEndHour: 22,
+    defaultColor: "navy",
+    businessHours: null // per-weekday { open, close } | null from shop settings
   };
 
-  const TEKMETRIC_COLORS = [
-    "red",
-    "pink",
-    "yellow",
-    "orange",
-    "light green",
-    "green",
-    "blue",
-    "navy",
-    "lavender",
-    "purple"
-  ];
+  function applySettings(settings) {
+    backendUrl = settings.backendUrl;
+    SHOP_CONFIG.defaultMonths = settings.defaultMonths;
+    SHOP_CONFIG.defaultMiles = settings.defaultMiles;
+    // The smart recommendation aims for the shop's default mile interval
+    SHOP_CONFIG.smartTargetMiles = settings.defaultMiles;
+    SHOP_CONFIG.dayStartHour = settings.dayStartHour;
+    SHOP_CONFIG.dayEndHour = settings.dayEndHour;
+    SHOP_CONFIG.defaultColor = settings.defaultColor;
+    SHOP_CONFIG.businessHours = null;
+  }
+
+  // Shop-wide settings saved by a manager take precedence over this browser's options
+  function applyShopSettings(settings) {
+    SHOP_CONFIG.defaultMonths = settings.defaultMonths ?? SHOP_CONFIG.defaultMonths;
+    SHOP_CONFIG.defaultMiles = settings.defaultMiles ?? SHOP_CONFIG.defaultMiles;
+    SHOP_CONFIG.smartTargetMiles = settings.smartTargetMiles ?? SHOP_CONFIG.smartTargetMiles;
+    if (TEKMETRIC_COLORS.includes(settings.defaultColor)) {
+      SHOP_CONFIG.defaultColor = settings.defaultColor;
+    }
+    if (settings.businessHours && typeof settings.businessHours === "object") {
+      SHOP_CONFIG.businessHours = settings.businessHours;
+    }
+  }
+
+  function getDefaultHour() {
+    return Math.min(Math.max(8, SHOP_CONFIG.dayStartHour), SHOP_CONFIG.dayEndHour - 1);
+  }
+
+  const TEKMETRIC_COLORS = settingsApi.TEKMETRIC_COLORS;
 
   // ----------------------------
   // DOM helpers
@@ -81,8 +103,68 @@
     });
   }
 
+  async function getApiKey() {
+    const stored = await chrome.storage.local.get([API_KEY_STORAGE_KEY]);
+    return String(stored[API_KEY_STORAGE_KEY] || "").trim();
+  }
+
+  // Advisor-facing text for the backend's error codes ({ success: false, code, message })
+  const ERROR_CODE_MESSAGES = {
+    NOT_CONFIGURED: "The scheduling service is not set up yet. Please contact your administrator.",
+    UPSTREAM_ERROR: "Tekmetric did not respond as expected. Please try again in a moment.",
+    UPSTREAM_TIMEOUT: "Tekmetric is taking too long to respond. Please try again in a moment.",
+    CONFLICT: "Tekmetric rejected the change because it conflicts with the appointment's current state.",
+    SLOT_FULL: "That time is already fully booked. Please pick another time.",
+    UNAUTHORIZED:
+      "This extension is not signed in to the scheduling service. Set the shop's API key in the extension options.",
+    FORBIDDEN: "The configured API key does not have access to this shop.",
+    NOT_FOUND: "That item no longer exists in Tekmetric.",
+    INTERNAL_ERROR: "The scheduling service hit an unexpected error. Please try again."
+  };
+
+  function getErrorMessage(status, data) {
+    const code = data?.code;
+    if (code === "VALIDATION_ERROR") {
+      const details = Array.isArray(data.errors) && data.errors.length > 0 ? data.errors : [data.message];
+      return `Some details were not accepted: ${details.filter(Boolean).join("; ")}.`;
+    }
+    if (code === "NOT_CONFIGURED" && getTekmetricEnvironment() === "sandbox") {
+      return "The scheduling service is not set up for the Tekmetric sandbox. Please contact your administrator.";
+    }
+    // Same code for our API key and Tekmetric's own shop permissions
+    if (code === "FORBIDDEN" && data.upstreamStatus != null) {
+      return "Tekmetric has not granted the scheduler access to this shop. Please contact your administrator.";
+    }
+    if (ERROR_CODE_MESSAGES[code]) return ERROR_CODE_MESSAGES[code];
+
+    // Backends that predate error codes
+    if (status === 401) return ERROR_CODE_MESSAGES.UNAUTHORIZED;
+    if (status === 403) return ERROR_CODE_MESSAGES.FORBIDDEN;
+    if (status >= 500) return ERROR_CODE_MESSAGES.INTERNAL_ERROR;
+    return "";
+  }
+
+  // The Tekmetric the RO was opened in; the backend keeps sandbox and production apart
+  function getTekmetricEnvironment() {
+    try {
+      return new URL(cachedContext?.origin).hostname === "sandbox.tekmetric.com" ? "sandbox" : "production";
+    } catch {
+      return "production";
+    }
+  }
+
   async function cloudRunFetch(path, options = {}) {
-    const url = `${CLOUD_RUN_URL}${path.startsWith("/") ? "" : "/"}${path}`;
+    const url = `${backendUrl}${path.startsWith("/") ? "" : "/"}${path}`;
+
+    const headers = { ...(options.headers || {}) };
+    const apiKey = await getApiKey();
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    headers["X-Tekmetric-Environment"] = getTekmetricEnvironment();
+    // Skip the backend's customer/vehicle/RO cache (e.g. after an edit in Tekmetric)
+    if (options.fresh) headers["Cache-Control"] = "no-cache";
+    // Correlates this call with the backend's logs; shown on errors for support
+    const requestId = crypto.randomUUID();
+    headers["X-Request-Id"] = requestId;
 
     const resp = await send({
       __aa: true,
@@ -90,18 +172,27 @@
       payload: {
         url,
         method: options.method || "GET",
-        headers: options.headers || {},
+        headers,
         body: options.body || null,
         timeoutMs: options.timeoutMs || 25000
       }
     });
 
     if (!resp?.ok) {
+      const data = resp?.data;
       const msg =
+        getErrorMessage(resp?.status, data) ||
         resp?.error ||
-        (typeof resp?.data === "string" ? resp.data : "") ||
+        (typeof data === "string" ? data : "") ||
+        (typeof data?.message === "string" ? data.message : "") ||
         `Request failed (${resp?.status || "unknown"})`;
-      throw new Error(msg);
+      const error = new Error(msg);
+      // Keep the backend's structured error (e.g. 409 DUPLICATE_APPOINTMENT)
+      error.status = resp?.status ?? 0;
+      error.code = data?.code ?? null;
+      error.data = data && typeof data === "object" ? data : null;
+      error.requestId = requestId;
+      throw error;
     }
     return resp.data;
   }
@@ -133,8 +224,8 @@
         date: null,
         mileage: null,
         type: "dropoff",
-        hour: 8,
-        color: "navy"
+        hour: getDefaultHour(),
+        color: SHOP_CONFIG.defaultColor
       },
       appointmentCounts: {},
       appointmentCountWeekKey: null,
@@ -143,6 +234,12 @@
       timeSlotCounts: { dropoff: {}, wait: {} },
       timeSlotCountsDateKey: null,
       timeSlotCountsLoading: false,
+      availability: {},
+      availabilityKey: null,
+      availabilityLoading: false,
+      // Set when the last availability fetch failed; slots are unknown, not open
+      availabilityFailedAt: null,
+      availabilityFailedKey: null,
       vehicleAvgMilesPerDay: null,
       vehicleDataPointCount: 0,
       vehicleHistorySpanDays: null,
@@ -152,11 +249,20 @@
       customerNotes: "",
       scheduledAppointmentId: null,
       scheduledStartTime: null,
-      isConfirmed: false
+      isConfirmed: false,
+      // Sent as Idempotency-Key so a retried confirm cannot book twice
+      idempotencyKey: crypto.randomUUID(),
+      // Future appointments already booked for this vehicle
+      existingAppointments: [],
+      duplicateAcknowledged: false,
+      // Set while re-running the wizard to move an already-booked appointment
+      editingAppointmentId: null,
+      editingOriginal: null
     };
   }
 
   let panelState = getDefaultPanelState();
+  let flashNotice = ""; // one-shot message for the next wizard render (e.g. after a cancel)
 
   let aaRenderToken = 0;
 function nextRenderToken() {
@@ -175,6 +281,13 @@ function nextRenderToken() {
       },
       scheduledStartTime: panelState.scheduledStartTime
         ? new Date(panelState.scheduledStartTime).toISOString()
+        : null,
+      editingOriginal: panelState.editingOriginal
+        ? {
+            ...panelState.editingOriginal,
+            date: new Date(panelState.editingOriginal.date).toISOString(),
+            scheduledStartTime: new Date(panelState.editingOriginal.scheduledStartTime).toISOString()
+          }
         : null
     };
   }
@@ -193,10 +306,10 @@ function nextRenderToken() {
       date: rawState.appointment?.date ? new Date(rawState.appointment.date) : null,
       mileage: Number.isFinite(rawState.appointment?.mileage) ? rawState.appointment.mileage : null,
       type: rawState.appointment?.type === "wait" ? "wait" : "dropoff",
-      hour: Number.isFinite(rawState.appointment?.hour) ? rawState.appointment.hour : 8,
+      hour: Number.isFinite(rawState.appointment?.hour) ? rawState.appointment.hour : getDefaultHour(),
       color: TEKMETRIC_COLORS.includes(rawState.appointment?.color)
         ? rawState.appointment.color
-        : "navy"
+        : SHOP_CONFIG.defaultColor
     };
 
     next.appointmentCounts = rawState.appointmentCounts ?? {};
@@ -207,6 +320,14 @@ function nextRenderToken() {
     next.timeSlotCountsDateKey = rawState.timeSlotCountsDateKey ?? null;
     next.timeSlotCountsLoading = false;
 
+    next.availability =
+      rawState.availability && typeof rawState.availability === "object" ? rawState.availability : {};
+    next.availabilityKey = rawState.availabilityKey ?? null;
+    next.availabilityLoading = false;
+    // A reopened panel retries instead of trusting an old failure
+    next.availabilityFailedAt = null;
+    next.availabilityFailedKey = null;
+
     next.vehicleAvgMilesPerDay = Number.isFinite(rawState.vehicleAvgMilesPerDay)
       ? rawState.vehicleAvgMilesPerDay
       : null;
@@ -227,6 +348,27 @@ function nextRenderToken() {
       : null;
     next.isConfirmed = rawState.isConfirmed === true;
 
+    if (typeof rawState.idempotencyKey === "string" && rawState.idempotencyKey) {
+      next.idempotencyKey = rawState.idempotencyKey;
+    }
+
+    next.existingAppointments = Array.isArray(rawState.existingAppointments)
+      ? rawState.existingAppointments
+      : [];
+    next.duplicateAcknowledged = rawState.duplicateAcknowledged === true;
+
+    next.editingAppointmentId = rawState.editingAppointmentId
+      ? String(rawState.editingAppointmentId)
+      : null;
+    next.editingOriginal =
+      next.editingAppointmentId && rawState.editingOriginal?.date
+        ? {
+            ...rawState.editingOriginal,
+            date: new Date(rawState.editingOriginal.date),
+            scheduledStartTime: new Date(rawState.editingOriginal.scheduledStartTime)
+          }
+        : null;
+
     return next;
   }
 
@@ -243,8 +385,10 @@ function nextRenderToken() {
       const raw = await chrome.storage.local.get([PANEL_STATE_STORAGE_KEY]);
       if (raw && raw[PANEL_STATE_STORAGE_KEY]) {
         panelState = hydratePanelState(raw[PANEL_STATE_STORAGE_KEY]);
+        return true;
       }
     } catch {}
+    return false;
   }
 
   async function clearPersistedPanelState() {
@@ -256,29 +400,33 @@ function nextRenderToken() {
   // ----------------------------
   // Cloud calls
   // ----------------------------
-  async function fetchRoData(roId) {
-    const data = await cloudRunFetch(`/ro/${encodeURIComponent(roId)}`);
-    if (!data || data.success === false) throw new Error("Failed to fetch RO data");
-    return data;
-  }
-
-  async function fetchVehicleHistory(vehicleId, shopId) {
-    const data = await cloudRunFetch(
-      `/vehicle-history/${encodeURIComponent(vehicleId)}?shopId=${encodeURIComponent(shopId)}`
+  // Generated from backend/openapi.json (src/shared/apiClient.js); every call goes through cloudRunFetch
+  const api = globalThis.AA.api.createClient(cloudRunFetch);
+
+  // RO + history + shop settings + upcoming appointments + recommended week counts
+  async function fetchRoContext(roId, { fresh = false, months = null } = {}) {
+    const data = await api.getRoContext(
+      {
+        roId,
+        shopId: cachedContext?.shopId ?? null,
+        months,
+        defaultMonths: SHOP_CONFIG.defaultMonths,
+        targetMiles: SHOP_CONFIG.smartTargetMiles
+      },
+      { fresh }
     );
-    if (!data || data.success === false) throw new Error("Failed to fetch vehicle history");
+    if (!data || data.success === false || !data.ro) throw new Error("Failed to fetch RO data");
     return data;
   }
+
     // Search OPEN repair orders (Estimate/WIP/Complete)
   async function searchOpenRepairOrders(shopId, searchText) {
-    const params = new URLSearchParams({
-      shopId: String(shopId),
+    const data = await api.searchRepairOrders({
+      shopId,
       q: String(searchText || "").trim(),
-      page: "0",
-      size: "20"
+      page: 0,
+      size: 20
     });
-
-    const data = await cloudRunFetch(`/ro-search?${params.toString()}`);
     if (!data || data.success === false) throw new Error(data?.message || "Search failed");
     return data;
   }
@@ -291,15 +439,25 @@ function nextRenderToken() {
     return `${year}-${month}-${day}`;
   }
 
-  async function fetchAppointmentCounts(shopId, startDate, endDate) {
-    const params = new URLSearchParams({
-      shopId: String(shopId),
-      startDate: getDateKey(startDate),
-      endDate: getDateKey(endDate)
-    });
+  // Wall-clock "YYYY-MM-DDTHH:mm:ss" (no offset); the backend reads it in shop time.
+  function getLocalDateTimeString(date) {
+    const d = new Date(date);
+    const hours = String(d.getHours()).padStart(2, "0");
+    const minutes = String(d.getMinutes()).padStart(2, "0");
+    return `${getDateKey(d)}T${hours}:${minutes}:00`;
+  }
+
+  function getShopTimezone() {
+    return panelState.roData?.timezone || undefined;
+  }
 
+  async function fetchAppointmentCounts(shopId, startDate, endDate) {
     try {
-      const result = await cloudRunFetch(`/appointments/counts?${params.toString()}`);
+      const result = await api.getAppointmentCounts({
+        shopId,
+        startDate: getDateKey(startDate),
+        endDate: getDateKey(endDate)
+      });
       if (!result || !result.success || !result.counts) return {};
       return result.counts;
     } catch {
@@ -307,207 +465,34 @@ function nextRenderToken() {
     }
   }
 
-  function normalizeTimeCountResponse(result, selectedDate) {
-    const normalized = { dropoff: {}, wait: {} };
-    if (!result || typeof result !== "object") return normalized;
-
-    const dateKey = getDateKey(selectedDate);
-    const source = result.timeCounts ?? result.counts ?? result;
-    const scoped = source?.[dateKey] ?? source;
-
-    const readHourFromKey = (rawKey) => {
-      const text = String(rawKey ?? "").trim();
-      if (!text) return null;
-
-      if (text.includes("T")) {
-        const parsedDate = new Date(text);
-        if (!Number.isNaN(parsedDate.getTime())) return parsedDate.getHours();
-      }
-
-      const ampmMatch = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)$/i);
-      if (ampmMatch) {
-        const hour12 = Number(ampmMatch[1]);
-        const suffix = ampmMatch[3].toUpperCase();
-        const normalizedHour = hour12 % 12;
-        return suffix === "PM" ? normalizedHour + 12 : normalizedHour;
-      }
-
-      const hourFirstMatch = text.match(/^(\d{1,2})(?::\d{2})?$/);
-      if (hourFirstMatch) {
-        const hour = Number(hourFirstMatch[1]);
-        return Number.isFinite(hour) ? hour : null;
-      }
-
-      const isoHourMatch = text.match(/T(\d{2}):\d{2}/);
-      if (isoHourMatch) return Number(isoHourMatch[1]);
-
-      return null;
-    };
-
-    const applyCountMap = (type, map) => {
-      if (!map || typeof map !== "object") return;
-      Object.entries(map).forEach(([hourKey, count]) => {
-        const hour = readHourFromKey(hourKey);
-        if (!Number.isInteger(hour) || hour < 0 || hour > 23) return;
-        normalized[type][hour] = (normalized[type][hour] || 0) + (Number(count) || 0);
-      });
-    };
-
-    applyCountMap("dropoff", scoped?.dropoff ?? scoped?.dropOff);
-    applyCountMap("wait", scoped?.wait ?? scoped?.waiter);
-
-    if (!Object.keys(normalized.dropoff).length && !Object.keys(normalized.wait).length) {
-      applyCountMap("dropoff", scoped);
-    }
-
-    return normalized;
-  }
-
-  function getAppointmentTypeKey(appointment) {
-    const rawType = String(
-      appointment?.appointmentType ??
-        appointment?.type ??
-        appointment?.appointment_type ??
-        appointment?.visitType ??
-        ""
-    ).toLowerCase();
-
-    if (rawType.includes("wait")) return "wait";
-    return "dropoff";
-  }
-
-  function getAppointmentStartDate(appointment) {
-    const rawStart =
-      appointment?.startTime ??
-      appointment?.startDate ??
-      appointment?.start ??
-      appointment?.startsAt ??
-      appointment?.start_at ??
-      null;
-
-    if (!rawStart) return null;
-    const parsed = new Date(rawStart);
-    if (Number.isNaN(parsed.getTime())) return null;
-    return parsed;
-  }
-
-  function normalizeAppointmentListCounts(items, selectedDate) {
-    const normalized = { dropoff: {}, wait: {} };
-    if (!Array.isArray(items)) return normalized;
-
-    const selectedKey = getDateKey(selectedDate);
-
-    items.forEach((appointment) => {
-      const startDate = getAppointmentStartDate(appointment);
-      if (!startDate || getDateKey(startDate) !== selectedKey) return;
-
-      const hour = startDate.getHours();
-      if (!Number.isInteger(hour) || hour < 0 || hour > 23) return;
-
-      const typeKey = getAppointmentTypeKey(appointment);
-      normalized[typeKey][hour] = (normalized[typeKey][hour] || 0) + 1;
-    });
-
-    return normalized;
-  }
-
-  function mergeTimeCounts(primary, fallback) {
-    const merged = { dropoff: {}, wait: {} };
-
-    ["dropoff", "wait"].forEach((type) => {
-      const first = primary?.[type] ?? {};
-      const second = fallback?.[type] ?? {};
-      const keys = new Set([...Object.keys(first), ...Object.keys(second)]);
-      keys.forEach((key) => {
-        const total = Number(first[key] || 0) + Number(second[key] || 0);
-        if (total > 0) merged[type][key] = total;
-      });
+  // Per-day / per-hour open|limited|full status for one appointment type.
+  // Throws when the backend cannot say: missing data must not read as open.
+  async function fetchAvailability(shopId, startDate, endDate, type) {
+    const result = await api.getAvailability({
+      shopId,
+      startDate: getDateKey(startDate),
+      endDate: getDateKey(endDate),
+      type: type === "wait" ? "wait" : "dropoff"
     });
-
-    return merged;
-  }
-
-  async function fetchTimeSlotCountsFromAppointments(shopId, selectedDate) {
-    const baseParams = {
-      shopId: String(shopId),
-      startDate: getDateKey(selectedDate),
-      endDate: getDateKey(selectedDate)
-    };
-
-    const requestList = async (extraParams = {}) => {
-      const params = new URLSearchParams({ ...baseParams, ...extraParams });
-      try {
-        const result = await cloudRunFetch(`/appointments?${params.toString()}`);
-
-        const items =
-          result?.appointments ??
-          result?.data?.appointments ??
-          result?.data ??
-          result?.results ??
-          null;
-
-        if (!Array.isArray(items)) return null;
-        return normalizeAppointmentListCounts(items, selectedDate);
-      } catch {
-        return null;
-      }
-    };
-
-    try {
-      const combined = await requestList();
-      if (combined && (Object.keys(combined.dropoff).length || Object.keys(combined.wait).length)) {
-        return combined;
-      }
-
-      const [wait, dropoff] = await Promise.all([
-        requestList({ appointmentType: "wait" }) ?? Promise.resolve(null),
-        requestList({ appointmentType: "dropoff" }) ?? Promise.resolve(null)
-      ]);
-
-      return mergeTimeCounts(wait, dropoff);
-    } catch {
-      return { dropoff: {}, wait: {} };
-    }
+    if (!result || !result.success || !result.days) throw new Error("Availability response missing days");
+    return result.days;
   }
 
+  // Booked drop-offs / waiters per hour on one day, in the shop's timezone
   async function fetchTimeSlotCounts(shopId, selectedDate) {
-    const fromAppointments = await fetchTimeSlotCountsFromAppointments(shopId, selectedDate);
-    if (Object.keys(fromAppointments.dropoff).length || Object.keys(fromAppointments.wait).length) {
-      return fromAppointments;
-    }
-
-    const baseParams = {
-      shopId: String(shopId),
-      startDate: getDateKey(selectedDate),
-      endDate: getDateKey(selectedDate)
-    };
-
-    const requestCounts = async (extraParams = {}) => {
-      const params = new URLSearchParams({ ...baseParams, ...extraParams });
-      try {
-        const result = await cloudRunFetch(`/appointments/counts?${params.toString()}`);
-        if (!result || !result.success) return null;
-        return normalizeTimeCountResponse(result, selectedDate);
-      } catch {
-        return null;
-      }
-    };
+    const dateKey = getDateKey(selectedDate);
 
     try {
-      const grouped = await requestCounts({ groupBy: "hour", includeTypes: "1" });
-      if (grouped && (Object.keys(grouped.dropoff).length || Object.keys(grouped.wait).length)) {
-        return grouped;
-      }
-
-      const [dropoff, wait, waiter] = await Promise.all([
-        requestCounts({ groupBy: "hour", appointmentType: "dropoff" }),
-        requestCounts({ groupBy: "hour", appointmentType: "wait" }),
-        requestCounts({ groupBy: "hour", appointmentType: "waiter" })
-      ]);
-
+      const result = await api.getAppointmentCounts({
+        shopId,
+        startDate: dateKey,
+        endDate: dateKey,
+        groupBy: "hour"
+      });
+      const day = result?.counts?.[dateKey];
       return {
-        dropoff: dropoff?.dropoff ?? {},
-        wait: mergeTimeCounts(wait, waiter).wait
+        dropoff: { ...(day?.dropoff ?? {}) },
+        wait: { ...(day?.wait ?? {}) }
       };
     } catch {
       return { dropoff: {}, wait: {} };
@@ -553,9 +538,21 @@ function nextRenderToken() {
     });
   }
 
-  function getHourlyTimeOptions() {
+  const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]; // Date#getDay order
+
+  function getHourlyTimeOptions(date) {
+    let start = SHOP_CONFIG.dayStartHour;
+    let end = SHOP_CONFIG.dayEndHour;
+
+    if (SHOP_CONFIG.businessHours && date) {
+      const hours = SHOP_CONFIG.businessHours[WEEKDAY_KEYS[new Date(date).getDay()]];
+      if (!hours) return []; // closed
+      start = hours.open;
+      end = hours.close;
+    }
+
     const times = [];
-    for (let hour = SHOP_CONFIG.dayStartHour; hour < SHOP_CONFIG.dayEndHour; hour++) {
+    for (let hour = start; hour < end; hour++) {
       times.push(hour);
     }
     return times;
@@ -730,11 +727,14 @@ function nextRenderToken() {
     return false;
   }
 
+  // The context endpoint classifies jobs server-side; older saved state may not have it
   function getPerformedJobs(roData) {
+    if (Array.isArray(roData?.classifiedJobs?.performed)) return roData.classifiedJobs.performed;
     return extractJobsFromRoData(roData).filter((j) => isApprovedJob(j));
   }
 
   function getDeclinedJobs(roData) {
+    if (Array.isArray(roData?.classifiedJobs?.declined)) return roData.classifiedJobs.declined;
     return extractJobsFromRoData(roData).filter((j) => isDeclinedJob(j));
   }
 
@@ -887,6 +887,11 @@ function nextRenderToken() {
       .aa-time-btn:hover { border-color: #C0C0D0; }
       .aa-time-btn.active { background: #1A1A2E; border-color: #1A1A2E; color: #fff; font-weight: 600; }
       .aa-time-btn.active .aa-time-booked { color: rgba(255, 255, 255, 0.85); }
+      .aa-time-booked { font-size: 9px; color: #B0B0C0; font-weight: 500; margin-top: 1px; }
+
+      .aa-date-btn.limited .aa-date-count, .aa-time-btn.limited .aa-time-booked { color: #D97706; }
+      .aa-date-btn.full, .aa-time-btn.full { background: #F5F5F8; border-color: #E8E8EC; cursor: not-allowed; opacity: 0.55; }
+      .aa-date-btn.full:hover, .aa-time-btn.full:hover { background: #F5F5F8; border-color: #E8E8EC; }
 
       .aa-check-item { display: flex; align-items: center; gap: 10px; padding: 10px 12px; border: 1px solid #E8E8EC; border-radius: 8px; background: #fff; cursor: pointer; margin-bottom: 5px; transition: all 0.15s ease; }
       .aa-check-item:last-child { margin-bottom: 0; }
@@ -941,6 +946,16 @@ function nextRenderToken() {
       .aa-detail-key { font-size: 12px; color: #8888A0; font-weight: 500; }
       .aa-detail-val { font-size: 12.5px; color: #1A1A2E; font-weight: 600; text-align: right; }
 
+      .aa-existing-card { background: #FFFBEB; border: 1px solid #FDE68A; border-radius: 10px; padding: 12px 14px; }
+      .aa-existing-title { font-size: 14px; font-weight: 700; color: #1A1A2E; }
+      .aa-existing-meta { font-size: 11.5px; color: #6B6B82; margin-top: 2px; }
+      .aa-existing-card .aa-btn-secondary { padding: 8px 6px; }
+
+      .aa-notice-banner { background: #EFF6FF; border: 1px solid #BFDBFE; color: #1E40AF; border-radius: 8px; padding: 8px 12px; font-size: 12px; line-height: 1.4; display: flex; align-items: center; justify-content: space-between; gap: 8px; }
+      .aa-notice-banner .aa-btn-link { padding: 0; flex-shrink: 0; }
+      .aa-btn-danger { color: #BE123C; }
+      .aa-btn-danger:hover { border-color: #FECDD3; color: #9F1239; }
+
       .aa-error-banner { background: #FFF1F2; border: 1px solid #FECDD3; color: #BE123C; border-radius: 8px; padding: 10px 12px; font-size: 12px; line-height: 1.4; }
 
       .aa-tip-trigger {
@@ -1021,13 +1036,18 @@ function nextRenderToken() {
       .join("")}</div>`;
   }
 
-  function headerHTML({ title, subtitle, showBack, showClose }) {
+  function headerHTML({ title, subtitle, showBack, showClose, showRefresh }) {
     return `<div class="aa-header">
       ${showBack ? `<div class="aa-header-back" id="aa-back-btn">←</div>` : ""}
       <div class="aa-header-info">
         <div class="aa-header-title">${title}</div>
         ${subtitle ? `<div class="aa-header-meta">${subtitle}</div>` : ""}
       </div>
+      ${
+        showRefresh
+          ? `<button class="aa-header-close" id="aa-refresh-btn" title="Reload customer and vehicle from Tekmetric">↻</button>`
+          : ""
+      }
       ${
         showClose !== false
           ? `<button class="aa-header-close" id="aa-close-btn" title="Close">✕</button>`
@@ -1108,6 +1128,9 @@ function nextRenderToken() {
     function bindHeaderControls() {
     const closeBtn = uiId("aa-close-btn");
     if (closeBtn) closeBtn.onclick = onHeaderX;
+
+    const refreshBtn = uiId("aa-refresh-btn");
+    if (refreshBtn) refreshBtn.onclick = () => void boot({ fresh: true });
   }
   
     function onHeaderX() {
@@ -1357,15 +1380,7 @@ function updateSearchStatus() {
   try {
     const payload = await searchOpenRepairOrders(shopId, q);
 
-    const rows =
-      payload.items ||
-      payload.results ||
-      payload.content ||
-      payload.repairOrders ||
-      payload.data ||
-      [];
-
-    searchState.results = Array.isArray(rows) ? rows : [];
+    searchState.results = Array.isArray(payload.items) ? payload.items : [];
     searchState.loading = false;
     searchState.error = "";
     updateSearchStatus();
@@ -1400,12 +1415,15 @@ function updateSearchStatus() {
     const token = nextRenderToken();
     panelState.screen = 1;
     panelState.isConfirmed = false;
-    panelState.scheduledAppointmentId = null;
+    if (!panelState.editingAppointmentId) panelState.scheduledAppointmentId = null;
     panelState.scheduledStartTime = null;
 
     const data = panelState.roData;
     const baseDate = recalculateSmartValues();
-    const dateOptions = getFiveSelectableDates(baseDate);
+    // When editing, start from the week of the booked appointment.
+    const dateOptions = getFiveSelectableDates(
+      panelState.editingAppointmentId ? panelState.appointment.date : baseDate
+    );
 
     const weekStart = dateOptions[0];
     const weekEnd = dateOptions[dateOptions.length - 1];
@@ -1464,7 +1482,12 @@ if (
     const selectedInOptions = selectedDate
       ? dateOptions.some((d) => d.toDateString() === selectedDate.toDateString())
       : false;
-    if (!selectedInOptions) panelState.appointment.date = new Date(dateOptions[0]);
+    if (!selectedInOptions) {
+      const firstOpen = dateOptions.find((d) => getAvailabilityStatus(d) !== "full");
+      panelState.appointment.date = new Date(firstOpen || dateOptions[0]);
+    }
+
+    loadAvailabilityForWeek(rootEl, weekStart, weekEnd, renderScreen1);
 
     const roNumber = data?.roNumber ?? "—";
     const customerName = data?.customer
@@ -1485,13 +1508,16 @@ if (
 
     rootEl.innerHTML = `
       ${headerHTML({
-        title: "Advance Appointment Scheduler",
+        title: panelState.editingAppointmentId ? "Edit Appointment" : "Advance Appointment Scheduler",
         subtitle: `RO #${roNumber} · ${customerName} · ${vehicleDisplay}`,
-        showBack: false
+        showBack: false,
+        showRefresh: true
       })}
       ${stepsHTML(1)}
       <div class="aa-scroll">
         <div class="aa-content">
+          ${editBannerHTML()}
+          ${existingAppointmentHTML()}
           <div class="aa-section">
             <div class="aa-section-label">Interval</div>
             <div class="aa-field-row">
@@ -1537,6 +1563,7 @@ if (
     `;
 
     bindHeaderControls();
+    bindEditBanner(rootEl);
 
     const monthSelect = uiId("aa-month-interval");
     for (let i = SHOP_CONFIG.minMonths; i <= SHOP_CONFIG.maxMonths; i++) {
@@ -1644,17 +1671,29 @@ dateOptions.forEach((date) => {
   const btn = document.createElement("button");
   btn.className = "aa-date-btn";
   const count = panelState.appointmentCounts[getDateKey(date)] ?? 0;
+  const availability = getAvailabilityStatus(date);
   const isActive =
     panelState.appointment.date &&
     new Date(panelState.appointment.date).toDateString() === new Date(date).toDateString();
   if (isActive) btn.classList.add("active");
+  if (availability === "full" || availability === "limited") btn.classList.add(availability);
+  if (availability === "full" && !isActive) btn.disabled = true;
   btn.innerHTML = `
     <span class="aa-date-dow">${date.toLocaleDateString(undefined, { weekday: "short" })}</span>
     <span class="aa-date-day">${date.getDate()}</span>
     <span class="aa-date-month">${date.toLocaleDateString(undefined, { month: "short" })}</span>
-    <span class="aa-date-count">${count} appts</span>
+    <span class="aa-date-count">${
+      isAvailabilityClosed(date)
+        ? "Closed"
+        : availability === "full"
+          ? "Full"
+          : isAvailabilityUnknown()
+            ? "Unknown"
+            : `${count} appts`
+    }</span>
   `;
   btn.onclick = async () => {
+    if (availability === "full") return;
     panelState.appointment.date = new Date(date);
     await persistPanelState();
     renderScreen1(rootEl);
@@ -1667,14 +1706,21 @@ if (statusEl) {
   const hasAnyCounts = panelState.appointmentCounts && Object.keys(panelState.appointmentCounts).length > 0;
   statusEl.textContent = panelState.appointmentCountsLoading
     ? "Loading availability…"
-    : (hasAnyCounts ? "" : "Availability unavailable");
+    : isAvailabilityUnknown()
+      ? "Availability unavailable; check the Tekmetric scheduler before booking."
+      : (hasAnyCounts ? "" : "Availability unavailable");
 }
 
     bindOpenSchedulerButtons(panelState.appointment.date);
 
+    bindExistingAppointmentCard(rootEl);
+
     const continueBtn = uiId("aa-continue-btn");
 if (continueBtn) {
+  // The advisor has to pick keep / move / book anyway first.
+  continueBtn.disabled = Boolean(uiId("aa-existing-keep-btn"));
   continueBtn.onclick = async () => {
+    flashNotice = "";
     panelState.screen = 2;
     await persistPanelState();
     renderScreen2(rootEl);
@@ -1684,6 +1730,63 @@ if (continueBtn) {
 void persistPanelState();
   }
 
+  function isAvailabilityUnknown() {
+    return Boolean(panelState.availabilityFailedAt);
+  }
+
+  function getAvailabilityStatus(date, hour) {
+    const day = panelState.availability?.[getDateKey(date)];
+    if (!day) return null;
+    if (hour == null) return day.status ?? null;
+    return day.hours?.[hour]?.status ?? null;
+  }
+
+  function isAvailabilityClosed(date) {
+    return panelState.availability?.[getDateKey(date)]?.closed === true;
+  }
+
+  function loadAvailabilityForWeek(rootEl, weekStart, weekEnd, rerender) {
+    const shopId = panelState.roData?.shopId;
+    if (!shopId) return;
+
+    const key = `${shopId}:${panelState.appointment.type}:${getDateKey(weekStart)}:${getDateKey(weekEnd)}`;
+    if (panelState.availabilityKey === key || panelState.availabilityLoading) return;
+    // After a failure, the re-render it triggers should not refetch at once
+    if (
+      panelState.availabilityFailedKey === key &&
+      Date.now() - panelState.availabilityFailedAt < AVAILABILITY_RETRY_MS
+    ) {
+      return;
+    }
+
+    panelState.availabilityLoading = true;
+    const screen = panelState.screen;
+
+    fetchAvailability(shopId, weekStart, weekEnd, panelState.appointment.type)
+      .then((days) => {
+        panelState.availability = days;
+        panelState.availabilityKey = key;
+        panelState.availabilityFailedAt = null;
+        panelState.availabilityFailedKey = null;
+      })
+      .catch(() => {
+        // Key left unset so a later render retries
+        panelState.availability = {};
+        panelState.availabilityFailedAt = Date.now();
+        panelState.availabilityFailedKey = key;
+      })
+      .finally(async () => {
+        panelState.availabilityLoading = false;
+        await persistPanelState();
+
+        // Re-render even if the token moved on: the type may have changed
+        // mid-flight, and the next render refetches for the new key.
+        if (panelState.screen === screen && rootEl && rootEl.isConnected) {
+          rerender(rootEl);
+        }
+      });
+  }
+
   function loadTimeSlotCountsForSelectedDate(rootEl, token) {
   const selectedDate = panelState.appointment.date;
   const shopId = panelState.roData?.shopId;
@@ -1721,6 +1824,11 @@ void persistPanelState();
   // Kick off async counts (token-gated) BEFORE rendering
   loadTimeSlotCountsForSelectedDate(rootEl, token);
 
+  const weekDates = getFiveSelectableDates(panelState.appointment.date);
+  loadAvailabilityForWeek(rootEl, weekDates[0], weekDates[weekDates.length - 1], renderScreen2);
+  const selectedHourFull =
+    getAvailabilityStatus(panelState.appointment.date, panelState.appointment.hour) === "full";
+
   const roData = panelState.roData;
 
   const performedWithIds = getPerformedJobs(roData).map((j, idx) => ({
@@ -1745,6 +1853,7 @@ void persistPanelState();
     ${stepsHTML(2)}
     <div class="aa-scroll">
       <div class="aa-content">
+        ${editBannerHTML()}
         <div class="aa-section">
           <div class="aa-section-label">Drop-off or Wait</div>
           <div class="aa-toggle-group">
@@ -1831,6 +1940,7 @@ void persistPanelState();
   `;
 
   bindHeaderControls();
+  bindEditBanner(rootEl);
 
   const backBtn = uiId("aa-back-btn");
   if (backBtn) {
@@ -1864,11 +1974,35 @@ void persistPanelState();
 
   timeGrid.innerHTML = "";
 
-  getHourlyTimeOptions().forEach((hour) => {
+  const hourOptions = getHourlyTimeOptions(panelState.appointment.date);
+  // Shorter days (e.g. Saturday hours) may not include the previously picked hour
+  if (hourOptions.length && !hourOptions.includes(panelState.appointment.hour)) {
+    panelState.appointment.hour = hourOptions[0];
+  }
+
+  hourOptions.forEach((hour) => {
     const btn = document.createElement("button");
-    btn.className = `aa-time-btn ${hour === panelState.appointment.hour ? "active" : ""}`;
-    btn.innerHTML = `<span class="aa-time-label">${formatHourLabel(hour)}</span>`;
+    const isActive = hour === panelState.appointment.hour;
+    const availability = getAvailabilityStatus(panelState.appointment.date, hour);
+    const booked = Number(panelState.timeSlotCounts?.[panelState.appointment.type]?.[hour] || 0);
+
+    btn.className = `aa-time-btn ${isActive ? "active" : ""}`;
+    if (availability === "full" || availability === "limited") btn.classList.add(availability);
+    if (availability === "full" && !isActive) btn.disabled = true;
+
+    const detail =
+      availability === "full"
+        ? "Full"
+        : isAvailabilityUnknown()
+          ? "Unknown"
+          : booked > 0
+            ? `${booked} booked`
+            : "";
+    btn.innerHTML = `<span class="aa-time-label">${formatHourLabel(hour)}</span>${
+      detail ? `<span class="aa-time-booked">${detail}</span>` : ""
+    }`;
     btn.onclick = async () => {
+      if (availability === "full") return;
       panelState.appointment.hour = hour;
       await persistPanelState();
       renderScreen2(rootEl);
@@ -1878,7 +2012,13 @@ void persistPanelState();
 
   const timeCountStatus = uiId("aa-time-counts-status");
   if (timeCountStatus) {
-    timeCountStatus.textContent = panelState.timeSlotCountsLoading ? "Loading scheduler counts…" : "";
+    timeCountStatus.textContent = panelState.timeSlotCountsLoading
+      ? "Loading scheduler counts…"
+      : selectedHourFull
+        ? "The selected time is full. Pick another time."
+        : isAvailabilityUnknown()
+          ? "Availability unavailable; check the Tekmetric scheduler before booking."
+          : "";
   }
 
   function setupCheckList(containerId, stateKey) {
@@ -1939,10 +2079,11 @@ void persistPanelState();
 
   const contBtn = uiId("aa-continue-to-confirm-btn");
   if (contBtn) {
+    contBtn.disabled = selectedHourFull;
     contBtn.onclick = async () => {
       panelState.screen = 3;
       panelState.isConfirmed = false;
-      panelState.scheduledAppointmentId = null;
+      if (!panelState.editingAppointmentId) panelState.scheduledAppointmentId = null;
       panelState.scheduledStartTime = null;
       await persistPanelState();
       renderScreen3(rootEl);
@@ -2004,62 +2145,285 @@ void persistPanelState();
     if (preview) preview.textContent = buildPurposeOfVisit(roData) || "No details selected.";
   }
 
+  // Booked appointments change the counts/availability we cached.
+  function invalidateSchedulerCaches() {
+    panelState.appointmentCountWeekKey = null;
+    panelState.availabilityKey = null;
+    panelState.timeSlotCountsDateKey = null;
+  }
+
   async function scheduleAppointment(rootEl) {
     const confirmBtn = uiId("aa-confirm-btn");
     const errorEl = uiId("aa-s3-error");
+    const editingId = panelState.editingAppointmentId;
     if (confirmBtn) {
       confirmBtn.disabled = true;
-      confirmBtn.textContent = "Confirming…";
+      confirmBtn.textContent = editingId ? "Saving…" : "Confirming…";
     }
     if (errorEl) errorEl.innerHTML = "";
 
     try {
       const ro = panelState.roData;
       const selectedDate = new Date(panelState.appointment.date);
-      const selectedHour = panelState.appointment.hour || 8;
+      const selectedHour = panelState.appointment.hour || getDefaultHour();
 
       const startTime = new Date(selectedDate);
       startTime.setHours(selectedHour, 0, 0, 0);
       const endTime = new Date(selectedDate);
       endTime.setHours(selectedHour + 1, 0, 0, 0);
 
-      const result = await cloudRunFetch("/appointments", {
-        method: "POST",
-        body: {
-          shopId: ro.shopId,
-          customerId: ro.customer.id,
-          vehicleId: ro.vehicle.id,
-          title: buildTekmetricTitle(ro),
-          description: buildPurposeOfVisit(ro),
-          appointmentType: panelState.appointment.type,
-          startTime: startTime.toISOString(),
-          endTime: endTime.toISOString(),
-          mileage: panelState.appointment.mileage,
-          color: panelState.appointment.color
-        }
-      });
+      const fields = {
+        shopId: ro.shopId,
+        title: buildTekmetricTitle(ro),
+        // Omitted when empty so moving a booking keeps its original notes
+        description: buildPurposeOfVisit(ro) || undefined,
+        appointmentType: panelState.appointment.type,
+        startTime: getLocalDateTimeString(startTime),
+        endTime: getLocalDateTimeString(endTime),
+        mileage: panelState.appointment.mileage,
+        color: panelState.appointment.color
+      };
+
+      const result = editingId
+        ? await api.updateAppointment({ id: editingId, body: fields })
+        : await api.createAppointment({
+            idempotencyKey: panelState.idempotencyKey,
+            body: {
+              ...fields,
+              customerId: ro.customer.id,
+              vehicleId: ro.vehicle.id,
+              allowDuplicate: panelState.duplicateAcknowledged
+            }
+          });
 
       if (!result || result.success === false) throw new Error(result?.message || "Scheduling failed");
 
-      const appointmentId = result.appointment?.data ?? result.appointment?.id ?? "—";
+      const appointmentId = editingId ?? result.appointment?.data ?? result.appointment?.id ?? "—";
       panelState.scheduledAppointmentId = String(appointmentId);
       panelState.scheduledStartTime = new Date(startTime);
       panelState.isConfirmed = true;
+      panelState.editingAppointmentId = null;
+      panelState.editingOriginal = null;
+      // Any later booking in this panel is a new request
+      if (!editingId) panelState.idempotencyKey = crypto.randomUUID();
+      invalidateSchedulerCaches();
       await persistPanelState();
       renderScreen3(rootEl);
     } catch (err) {
+      // Someone booked this vehicle since the panel loaded: show it on screen 1.
+      if (err?.code === "DUPLICATE_APPOINTMENT") {
+        panelState.existingAppointments = err.data?.existingAppointments ?? [];
+        panelState.duplicateAcknowledged = false;
+        panelState.screen = 1;
+        await persistPanelState();
+        renderScreen1(rootEl);
+        return;
+      }
+
+      // The slot filled up since availability loaded; refetch it
+      if (err?.code === "SLOT_FULL") invalidateSchedulerCaches();
+
       if (confirmBtn) {
         confirmBtn.disabled = false;
-        confirmBtn.textContent = "Confirm Appointment";
+        confirmBtn.textContent = editingId ? "Save Changes" : "Confirm Appointment";
+      }
+      if (errorEl) {
+        errorEl.innerHTML = `<div class="aa-error-banner">Failed to ${editingId ? "update" : "schedule"}. ${
+          escapeHtml(err.message || "Please try again.")
+        }</div>`;
+      }
+    }
+  }
+
+  // Re-run the wizard against the appointment we just booked.
+  async function startEditingAppointment(rootEl) {
+    if (!panelState.scheduledAppointmentId) return;
+
+    panelState.editingAppointmentId = panelState.scheduledAppointmentId;
+    panelState.editingOriginal = {
+      date: new Date(panelState.appointment.date),
+      hour: panelState.appointment.hour,
+      type: panelState.appointment.type,
+      color: panelState.appointment.color,
+      scheduledStartTime: new Date(panelState.scheduledStartTime || panelState.appointment.date)
+    };
+    panelState.isConfirmed = false;
+    panelState.screen = 1;
+    await persistPanelState();
+    renderScreen1(rootEl);
+  }
+
+  async function discardAppointmentEdit(rootEl) {
+    const original = panelState.editingOriginal;
+    if (original) {
+      panelState.appointment = {
+        ...panelState.appointment,
+        date: new Date(original.date),
+        hour: original.hour,
+        type: original.type,
+        color: original.color
+      };
+      panelState.scheduledStartTime = new Date(original.scheduledStartTime);
+    }
+    panelState.scheduledAppointmentId = panelState.editingAppointmentId;
+    panelState.editingAppointmentId = null;
+    panelState.editingOriginal = null;
+    panelState.isConfirmed = true;
+    panelState.screen = 3;
+    await persistPanelState();
+    renderScreen3(rootEl);
+  }
+
+  async function cancelScheduledAppointment(rootEl) {
+    const appointmentId = panelState.scheduledAppointmentId;
+    if (!appointmentId) return;
+    if (!window.confirm("Cancel this appointment in Tekmetric?")) return;
+
+    const cancelBtn = uiId("aa-cancel-appt-btn");
+    const errorEl = uiId("aa-s3-error");
+    if (cancelBtn) {
+      cancelBtn.disabled = true;
+      cancelBtn.textContent = "Cancelling…";
+    }
+    if (errorEl) errorEl.innerHTML = "";
+
+    try {
+      const result = await api.cancelAppointment({
+        id: appointmentId,
+        shopId: panelState.roData?.shopId
+      });
+      if (!result || result.success === false) throw new Error(result?.message || "Cancel failed");
+
+      panelState.scheduledAppointmentId = null;
+      panelState.scheduledStartTime = null;
+      panelState.isConfirmed = false;
+      panelState.screen = 1;
+      invalidateSchedulerCaches();
+      flashNotice = `Appointment #${appointmentId} was cancelled.`;
+      await persistPanelState();
+      renderScreen1(rootEl);
+    } catch (err) {
+      if (cancelBtn) {
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = "Cancel Appointment";
       }
       if (errorEl) {
-        errorEl.innerHTML = `<div class="aa-error-banner">Failed to schedule. ${
-          err.message || "Please try again."
+        errorEl.innerHTML = `<div class="aa-error-banner">Failed to cancel. ${
+          escapeHtml(err.message || "Please try again.")
         }</div>`;
       }
     }
   }
 
+  function formatShopDateTime(value) {
+    const options = {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit"
+    };
+    try {
+      return new Date(value).toLocaleString(undefined, { ...options, timeZone: getShopTimezone() });
+    } catch {
+      return new Date(value).toLocaleString(undefined, options);
+    }
+  }
+
+  function getVisibleExistingAppointments() {
+    const ignore = [panelState.editingAppointmentId, panelState.scheduledAppointmentId]
+      .filter(Boolean)
+      .map(String);
+    return (panelState.existingAppointments || []).filter((a) => !ignore.includes(String(a?.id)));
+  }
+
+  function existingAppointmentHTML() {
+    if (panelState.editingAppointmentId || panelState.duplicateAcknowledged) return "";
+
+    const existing = getVisibleExistingAppointments();
+    if (!existing.length) return "";
+
+    const appt = existing[0];
+    const more = existing.length > 1 ? ` (+${existing.length - 1} more)` : "";
+    return `<div class="aa-section">
+      <div class="aa-section-label">Already Booked</div>
+      <div class="aa-existing-card">
+        <div class="aa-existing-title">${escapeHtml(formatShopDateTime(appt.startTime))}${more}</div>
+        <div class="aa-existing-meta">
+          ${appt.appointmentType === "wait" ? "Waiter" : "Drop-Off"} · ID ${escapeHtml(String(appt.id ?? "—"))}
+        </div>
+        <div class="aa-field-row" style="margin-top:10px;">
+          <button class="aa-btn-secondary" id="aa-existing-keep-btn">Keep</button>
+          <button class="aa-btn-secondary" id="aa-existing-move-btn">Move</button>
+          <button class="aa-btn-secondary" id="aa-existing-book-btn">Book Anyway</button>
+        </div>
+      </div>
+    </div>`;
+  }
+
+  async function keepExistingAppointment() {
+    await chrome.storage.local.set({ aaSidePanelOpen: false });
+    await clearPersistedPanelState();
+    window.close();
+  }
+
+  // Reschedule the existing booking instead of creating a second one.
+  async function moveExistingAppointment(rootEl, appt) {
+    const date = appt.dateKey ? new Date(`${appt.dateKey}T00:00:00`) : new Date(appt.startTime);
+    date.setHours(0, 0, 0, 0);
+    const hour = Number.isInteger(appt.hour) ? appt.hour : getDefaultHour();
+
+    panelState.appointment = {
+      ...panelState.appointment,
+      date,
+      hour,
+      type: appt.appointmentType === "wait" ? "wait" : "dropoff",
+      color: TEKMETRIC_COLORS.includes(appt.color) ? appt.color : panelState.appointment.color
+    };
+
+    const startTime = new Date(date);
+    startTime.setHours(hour, 0, 0, 0);
+    panelState.scheduledAppointmentId = String(appt.id);
+    panelState.scheduledStartTime = startTime;
+    await startEditingAppointment(rootEl);
+  }
+
+  function bindExistingAppointmentCard(rootEl) {
+    const existing = getVisibleExistingAppointments();
+    const keepBtn = uiId("aa-existing-keep-btn");
+    const moveBtn = uiId("aa-existing-move-btn");
+    const bookBtn = uiId("aa-existing-book-btn");
+
+    if (keepBtn) keepBtn.onclick = () => keepExistingAppointment();
+    if (moveBtn && existing[0]) moveBtn.onclick = () => moveExistingAppointment(rootEl, existing[0]);
+    if (bookBtn) {
+      bookBtn.onclick = async () => {
+        panelState.duplicateAcknowledged = true;
+        await persistPanelState();
+        renderScreen1(rootEl);
+      };
+    }
+  }
+
+  function editBannerHTML() {
+    const notice = flashNotice
+      ? `<div class="aa-section"><div class="aa-notice-banner">${escapeHtml(flashNotice)}</div></div>`
+      : "";
+
+    if (!panelState.editingAppointmentId) return notice;
+    return `${notice}<div class="aa-section">
+      <div class="aa-notice-banner">
+        Editing appointment #${escapeHtml(panelState.editingAppointmentId)}
+        <button class="aa-btn-link" id="aa-discard-edit-btn">Discard changes</button>
+      </div>
+    </div>`;
+  }
+
+  function bindEditBanner(rootEl) {
+    const discardBtn = uiId("aa-discard-edit-btn");
+    if (discardBtn) discardBtn.onclick = () => discardAppointmentEdit(rootEl);
+  }
+
   function getColorHex(name) {
     const map = {
       red: "#dc2626",
@@ -2085,7 +2449,7 @@ void persistPanelState();
       ? new Date(panelState.scheduledStartTime)
       : (() => {
           const d = new Date(panelState.appointment.date || new Date());
-          d.setHours(panelState.appointment.hour || 8, 0, 0, 0);
+          d.setHours(panelState.appointment.hour || getDefaultHour(), 0, 0, 0);
           return d;
         })();
 
@@ -2093,13 +2457,18 @@ void persistPanelState();
 
     rootEl.innerHTML = `
       ${headerHTML({
-        title: panelState.isConfirmed ? "Scheduled" : "Review & Confirm",
+        title: panelState.isConfirmed
+          ? "Scheduled"
+          : panelState.editingAppointmentId
+            ? "Review Changes"
+            : "Review & Confirm",
         subtitle: null,
         showBack: !panelState.isConfirmed
       })}
       ${stepsHTML(3)}
       <div class="aa-scroll">
         <div class="aa-content">
+          ${panelState.isConfirmed ? "" : editBannerHTML()}
           ${
             panelState.isConfirmed
               ? `
@@ -2163,14 +2532,21 @@ void persistPanelState();
         ${schedulerFooterButtonHTML()}
         ${
           panelState.isConfirmed
-            ? `<button class="aa-btn-link" id="aa-view-mini-btn">View in Scheduler →</button>
+            ? `<div class="aa-field-row">
+                 <button class="aa-btn-secondary" id="aa-edit-appt-btn">Edit</button>
+                 <button class="aa-btn-secondary aa-btn-danger" id="aa-cancel-appt-btn">Cancel Appointment</button>
+               </div>
+               <button class="aa-btn-link" id="aa-view-mini-btn">View in Scheduler →</button>
                <button class="aa-btn-primary" id="aa-done-btn">Done</button>`
-            : `<button class="aa-btn-primary" id="aa-confirm-btn">Confirm Appointment</button>`
+            : `<button class="aa-btn-primary" id="aa-confirm-btn">${
+                panelState.editingAppointmentId ? "Save Changes" : "Confirm Appointment"
+              }</button>`
         }
       </div>
     `;
 
     bindHeaderControls();
+    bindEditBanner(rootEl);
 
     if (!panelState.isConfirmed && uiId("aa-back-btn")) {
       uiId("aa-back-btn").onclick = async () => {
@@ -2209,6 +2585,8 @@ void persistPanelState();
       uiId("aa-view-mini-btn").onclick = () => {
         openFullScheduler(panelState.scheduledStartTime || startTime);
       };
+      uiId("aa-edit-appt-btn").onclick = () => startEditingAppointment(rootEl);
+      uiId("aa-cancel-appt-btn").onclick = () => cancelScheduledAppointment(rootEl);
     }
 
     void persistPanelState();
@@ -2217,8 +2595,9 @@ void persistPanelState();
   // ----------------------------
   // Boot / load context + RO
   // ----------------------------
-  async function boot() {
+  async function boot({ fresh = false } = {}) {
     injectStyles();
+    applySettings(await settingsApi.loadSettings());
     await chrome.storage.local.set({ aaSidePanelOpen: true });
 
     const ctx = await getContext();
@@ -2228,7 +2607,7 @@ void persistPanelState();
       return;
     }
 
-    await restorePanelState();
+    const restored = await restorePanelState();
 
     // Ensure roId in state matches context
     panelState.sourceRoId = String(ctx.roId);
@@ -2236,7 +2615,11 @@ void persistPanelState();
     renderLoading(`RO #${ctx.roId}`);
 
     try {
-      const roData = await fetchRoData(ctx.roId);
+      const context = await fetchRoContext(ctx.roId, {
+        fresh,
+        months: restored && panelState.hasUserSelectedMonthInterval ? panelState.monthInterval : null
+      });
+      const roData = context.ro;
       panelState.roData = roData;
 
       // keep shopId in context for scheduler links
@@ -2257,14 +2640,33 @@ void persistPanelState();
   if (!same) await setContext(nextCtx);
 } catch {}
 
-      try {
-        const history = await fetchVehicleHistory(roData.vehicle.id, roData.shopId);
-        panelState.vehicleAvgMilesPerDay = history.avgMilesPerDay ?? null;
-        panelState.vehicleDataPointCount = history.dataPointCount ?? 0;
-        panelState.vehicleHistorySpanDays = history.historySpanDays ?? null;
-      } catch (err) {
-        // ok to ignore
-        void err;
+      const shop = context.settings;
+      if (shop && !shop.isDefault && shop.settings) {
+        applyShopSettings(shop.settings);
+        // A fresh session starts from the shop's defaults, not this browser's
+        if (!restored) {
+          panelState.mileInterval = SHOP_CONFIG.defaultMiles;
+          panelState.appointment.color = SHOP_CONFIG.defaultColor;
+        }
+      }
+
+      const history = context.history;
+      panelState.vehicleAvgMilesPerDay = history?.avgMilesPerDay ?? null;
+      panelState.vehicleDataPointCount = history?.dataPointCount ?? 0;
+      panelState.vehicleHistorySpanDays = history?.historySpanDays ?? null;
+
+      panelState.existingAppointments = Array.isArray(context.existingAppointments)
+        ? context.existingAppointments
+        : [];
+
+      // Seed screen 1 with the recommended week so it does not refetch counts
+      const recommendation = context.recommendation;
+      if (recommendation && !panelState.hasUserSelectedMonthInterval) {
+        panelState.monthInterval = recommendation.months;
+      }
+      if (recommendation && context.counts) {
+        panelState.appointmentCounts = context.counts;
+        panelState.appointmentCountWeekKey = `${roData.shopId}:${recommendation.weekStart}:${recommendation.weekEnd}`;
       }
 
       const rootEl = document.createElement("div");
@@ -2278,21 +2680,63 @@ void persistPanelState();
 
       await persistPanelState();
     } catch (e) {
-      app.innerHTML = `
-        <div id="aa-shadow-root">
-          ${headerHTML({ title: "Advance Appointment Scheduler", subtitle: null, showBack: false })}
-          <div class="aa-scroll">
-            <div class="aa-content">
-              <div class="aa-error-banner" style="margin-top:8px;">
-                Failed to load repair order data. Open a repair order and try again.
-                <div style="margin-top:8px; font-size:11px; opacity:0.9;">${String(e?.message || "")}</div>
-              </div>
+      renderBootError(ctx.roId, e);
+    }
+  }
+
+  // Not found / no access / Tekmetric down each get their own copy; only the
+  // outage state offers a retry, since the other two will not fix themselves.
+  function getBootErrorState(roId, e) {
+    const code = e?.code;
+    if (code === "NOT_FOUND" || e?.status === 404) {
+      return {
+        title: `RO #${roId} was not found`,
+        detail: "It may have been deleted in Tekmetric. Open a different repair order and try again.",
+        retry: false
+      };
+    }
+    if (code === "FORBIDDEN" || e?.status === 403) {
+      return {
+        title: "No access to this shop",
+        detail: e?.message || "",
+        retry: false
+      };
+    }
+    if (code === "UPSTREAM_ERROR" || code === "UPSTREAM_TIMEOUT" || e?.status === 502 || e?.status === 504) {
+      return {
+        title: "Tekmetric is not responding",
+        detail: "The repair order could not be loaded from Tekmetric. This is usually temporary.",
+        retry: true
+      };
+    }
+    return {
+      title: "Failed to load repair order data. Open a repair order and try again.",
+      detail: e?.message || "",
+      retry: true
+    };
+  }
+
+  function renderBootError(roId, e) {
+    const state = getBootErrorState(roId, e);
+    app.innerHTML = `
+      <div id="aa-shadow-root">
+        ${headerHTML({ title: "Advance Appointment Scheduler", subtitle: null, showBack: false })}
+        <div class="aa-scroll">
+          <div class="aa-content">
+            <div class="aa-error-banner" style="margin-top:8px;">
+              <div style="font-weight:600;">${escapeHtml(state.title)}</div>
+              ${state.detail ? `<div style="margin-top:8px; font-size:11px; opacity:0.9;">${escapeHtml(state.detail)}</div>` : ""}
+              ${e?.requestId ? `<div style="margin-top:4px; font-size:10px; opacity:0.7;">Ref: ${escapeHtml(e.requestId)}</div>` : ""}
             </div>
+            ${state.retry ? `<button class="aa-btn-secondary" id="aa-boot-retry-btn" style="margin-top:10px;">Try Again</button>` : ""}
           </div>
         </div>
-      `;
-      bindHeaderControls();
-    }
+      </div>
+    `;
+    bindHeaderControls();
+
+    const retryBtn = uiId("aa-boot-retry-btn");
+    if (retryBtn) retryBtn.onclick = () => void boot({ fresh: true });
   }
 
   // Re-render whenever context changes
@@ -2313,5 +2757,11 @@ chrome.storage.onChanged.addListener((changes, area) => {
   }
 });
 
+  // Options page saved new settings: reload with the new backend/defaults
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync" || !changes[settingsApi.SETTINGS_STORAGE_KEY]) return;
+  void boot();
+});
+
 boot();
 })();
\ No newline at end of file